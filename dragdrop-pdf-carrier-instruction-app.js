@@ -2,18 +2,53 @@ require('dotenv').config();
 /**
  * Carrier Notification Letter (with Drafts, Comments, Freeze)
  * - PDF → Draft v1 (server) → Review w/ comments → Freeze → Final shipment
- * - This version adds optional OpenAI JSON extraction/refinement.
+ * - This version adds optional LLM JSON extraction/refinement (OpenAI, a local model or a replay mock).
+ * - Freeze renders the Carrier Notification Letter PDF (stored per shipment).
  *
  * ENV:
  *   OPENAI_API_KEY=sk-...
- *   USE_OPENAI_EXTRACT=1                 # turn on model-assisted extraction
+ *   USE_OPENAI_EXTRACT=1                 # turn on model-assisted extraction (same as LLM_PROVIDER=openai)
  *   OPENAI_MODEL=gpt-4o-mini             # optional, defaults to gpt-4o-mini
+ *   LLM_PROVIDER=openai|openai-compatible|mock   # optional, model backend for refinement
+ *   LLM_MODEL= / LLM_BASE_URL= / LLM_API_KEY=    # optional, e.g. http://localhost:11434/v1 for Ollama
+ *   LLM_RECORD_DIR= / LLM_MOCK_DIR=./llm-recordings  # record model answers / replay them (mock)
+ *   LLM_FIELD_POLICY=hs_code:seed,*:agree     # optional, per-field trust: seed | llm | agree (see reconcileFields)
  *   SQLITE_DB_PATH=shipments.db          # optional
+ *   SMTP_HOST=localhost                  # enables "send to forwarder"
+ *   SMTP_PORT=587                        # optional, defaults to 587 (465 when SMTP_SECURE=1)
+ *   SMTP_SECURE=1                        # optional, implicit TLS
+ *   SMTP_USER= / SMTP_PASS=              # optional, omit for unauthenticated relays
+ *   MAIL_FROM="Logistics <logistics@example.com>"
+ *   ADMIN_USER=admin / ADMIN_PASSWORD=…  # first-run admin account (if unset, a random password is written
+ *   ADMIN_PASSWORD_FILE=…                # to this 0600 file, default initial-admin-password next to the DB)
+ *   SESSION_TTL_HOURS=12                 # optional, login session lifetime
+ *   INGEST_DIR=/srv/inbox                # optional, drop folder for PDFs / ZIPs / .eml files
+ *   INGEST_MAILDIR= / INGEST_MBOX=       # optional, mail spools whose PDF attachments are ingested
+ *   IMAP_HOST= IMAP_PORT= IMAP_SECURE= IMAP_USER= IMAP_PASS= IMAP_MAILBOX=INBOX
+ *   IMAP_ARCHIVE_MAILBOX=Archive / IMAP_ERROR_MAILBOX=Error
+ *   INGEST_ARCHIVE_DIR= / INGEST_ERROR_DIR=  # optional, default <spool>/archive and <spool>/error
+ *   INGEST_INTERVAL_SEC=60               # optional, polling interval
+ *   JOB_CONCURRENCY=2                    # optional, extraction jobs running at once
+ *   JOB_QUEUE_MAX=200                    # optional, jobs waiting at most; uploads beyond get 503
+ *   OCR_LOW_CONF=60                      # optional, OCR word confidence below which a field is flagged
+ *   TEMPLATES_DIR=./templates            # optional, extra document templates (*.js specs)
+ *   RULES_DIR=./rules                    # optional, extra / adjusted validation rules (*.js specs, see "Validation")
+ *   GOLDEN_DIR=./golden                  # optional, parser regression corpus (see "Golden corpus")
+ *
+ * CLI:
+ *   node dragdrop-pdf-carrier-instruction-app.js reparse [--dry-run]   # re-run the parser over cached texts
+ *   node dragdrop-pdf-carrier-instruction-app.js golden [dir] [--json] [--verbose] [--llm]   # accuracy over the corpus
+ *     (--llm scores the model-refined fields; offline: LLM_PROVIDER=mock replays llm-recordings/, npm run golden-llm)
+ *   node dragdrop-pdf-carrier-instruction-app.js golden-export [dir] [shipment ids…]  # frozen shipments → fixtures
  */
 
 const express = require("express");
 const multer = require("multer");
 const pdfParse = require("pdf-parse");
+const PDFDocument = require("pdfkit");
+const nodemailer = require("nodemailer");
+const AdmZip = require("adm-zip");
+const { simpleParser } = require("mailparser");
 const dayjs = require("dayjs");
 const Database = require("better-sqlite3");
 const { nanoid } = require("nanoid");
@@ -22,11 +57,12 @@ const fs = require("fs");
 const os = require("os");
 const { execFile } = require("child_process");
 const crypto = require("crypto");
+const zlib = require("zlib");
 
-// ---------- NEW: OpenAI (optional) ----------
-const useOpenAI = !!process.env.USE_OPENAI_EXTRACT && !!process.env.OPENAI_API_KEY;
+// ---------- LLM refinement (optional) ----------
+const LLM_PROVIDER = process.env.LLM_PROVIDER || (process.env.USE_OPENAI_EXTRACT && process.env.OPENAI_API_KEY ? "openai" : "");
 let OpenAI = null;
-if (useOpenAI) {
+if (LLM_PROVIDER === "openai" || LLM_PROVIDER === "openai-compatible") {
   try {
     OpenAI = require("openai");
   } catch (e) {
@@ -35,12 +71,21 @@ if (useOpenAI) {
 }
 const OPENAI_MODEL = process.env.OPENAI_MODEL || "gpt-4o-mini";
 
+const [cmd, ...cmdArgs] = process.argv.slice(2);
+
 // ---------- DB ----------
-const DB_PATH = process.env.SQLITE_DB_PATH || "shipments.db";
+// `golden` is a test run and gets a scratch DB; `golden-export` and `reparse` work on an existing one
+const DB_PATH = cmd === "golden" ? ":memory:" : process.env.SQLITE_DB_PATH || "shipments.db";
 const dbDir = path.dirname(DB_PATH);
 if (!fs.existsSync(dbDir)) fs.mkdirSync(dbDir, { recursive: true });
 
+if ((cmd === "golden-export" || cmd === "reparse") && !fs.existsSync(DB_PATH)) {
+  console.error("No database at " + DB_PATH + " (set SQLITE_DB_PATH)");
+  process.exit(1);
+}
 const db = new Database(DB_PATH);
+// the REFERENCES clauses below (cascades, *_party_id) are only enforced with this on
+db.pragma("foreign_keys = ON");
 try { db.pragma("journal_mode = WAL"); } catch (_){}
 
 db.prepare(`
@@ -142,6 +187,234 @@ db.prepare(`
   )
 `).run();
 
+/* Audit trail */
+db.prepare(`
+  CREATE TABLE IF NOT EXISTS audit (
+    id TEXT PRIMARY KEY,
+    created_at TEXT,
+    actor TEXT,
+    action TEXT,
+    entity TEXT,
+    entity_id TEXT,
+    detail_json TEXT
+  )
+`).run();
+
+/* Users, login sessions, API tokens (roles: uploader, reviewer, approver, admin) */
+db.prepare(`
+  CREATE TABLE IF NOT EXISTS users (
+    id TEXT PRIMARY KEY,
+    username TEXT UNIQUE,
+    display_name TEXT,
+    password_hash TEXT,
+    roles TEXT,
+    disabled INTEGER DEFAULT 0,
+    created_at TEXT
+  )
+`).run();
+
+db.prepare(`
+  CREATE TABLE IF NOT EXISTS sessions (
+    token_hash TEXT PRIMARY KEY,
+    user_id TEXT,
+    created_at TEXT,
+    expires_at TEXT,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  )
+`).run();
+
+db.prepare(`
+  CREATE TABLE IF NOT EXISTS api_tokens (
+    id TEXT PRIMARY KEY,
+    user_id TEXT,
+    name TEXT,
+    token_hash TEXT UNIQUE,
+    created_at TEXT,
+    last_used_at TEXT,
+    revoked_at TEXT,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  )
+`).run();
+
+/* Generated letters (exact bytes as sent, one per shipment) */
+db.prepare(`
+  CREATE TABLE IF NOT EXISTS letters (
+    shipment_id TEXT PRIMARY KEY,
+    pdf BLOB,
+    sha256 TEXT,
+    created_at TEXT,
+    FOREIGN KEY (shipment_id) REFERENCES shipments(id) ON DELETE CASCADE
+  )
+`).run();
+
+/* Original uploads keyed by content hash (review, mail attachment, audit); never deleted */
+db.prepare(`
+  CREATE TABLE IF NOT EXISTS documents (
+    hash TEXT PRIMARY KEY,
+    file_name TEXT,
+    pdf BLOB,
+    created_at TEXT
+  )
+`).run();
+
+/* Rendered page images (cache, rebuilt on demand) */
+db.prepare(`
+  CREATE TABLE IF NOT EXISTS document_pages (
+    hash TEXT,
+    page INTEGER,
+    dpi INTEGER,
+    png BLOB,
+    created_at TEXT,
+    PRIMARY KEY (hash, page, dpi)
+  )
+`).run();
+
+/* Documents kept with a frozen shipment (primary upload + attachments) */
+db.prepare(`
+  CREATE TABLE IF NOT EXISTS shipment_documents (
+    shipment_id TEXT,
+    doc_hash TEXT,
+    file_name TEXT,
+    role TEXT,
+    pages TEXT,
+    PRIMARY KEY (shipment_id, doc_hash),
+    FOREIGN KEY (shipment_id) REFERENCES shipments(id) ON DELETE CASCADE
+  )
+`).run();
+
+/* Email send attempts (one row per attempt, with SMTP outcome) */
+db.prepare(`
+  CREATE TABLE IF NOT EXISTS email_sends (
+    id TEXT PRIMARY KEY,
+    shipment_id TEXT,
+    created_at TEXT,
+    mail_from TEXT,
+    mail_to TEXT,
+    mail_cc TEXT,
+    subject TEXT,
+    attachments TEXT,
+    status TEXT,
+    message_id TEXT,
+    smtp_response TEXT,
+    error TEXT,
+    FOREIGN KEY (shipment_id) REFERENCES shipments(id) ON DELETE CASCADE
+  )
+`).run();
+
+/* Extraction jobs (the file itself only lives in memory while queued) */
+db.prepare(`
+  CREATE TABLE IF NOT EXISTS jobs (
+    id TEXT PRIMARY KEY,
+    status TEXT,          -- queued | running | done | failed
+    stage TEXT,
+    progress_json TEXT,
+    file_name TEXT,
+    doc_hash TEXT,
+    author TEXT,
+    result_json TEXT,
+    error TEXT,
+    error_status INTEGER,
+    created_at TEXT,
+    updated_at TEXT
+  )
+`).run();
+
+/* Ingested files / messages: one row per PDF, linked to the message it came from */
+db.prepare(`
+  CREATE TABLE IF NOT EXISTS ingested (
+    id TEXT PRIMARY KEY,
+    kind TEXT,            -- folder | maildir | mbox | imap
+    ref TEXT,             -- file name, maildir entry, mbox#n or mailbox:uid
+    message_id TEXT,
+    sender TEXT,
+    subject TEXT,
+    received_at TEXT,
+    file_name TEXT,
+    doc_hash TEXT,
+    job_id TEXT,
+    draft_id TEXT,
+    status TEXT,
+    error TEXT,
+    created_at TEXT
+  )
+`).run();
+db.prepare("CREATE INDEX IF NOT EXISTS ingested_doc_hash ON ingested(doc_hash)").run();
+
+/* Documents behind a draft lineage: the uploaded one plus any attached later */
+db.prepare(`
+  CREATE TABLE IF NOT EXISTS draft_documents (
+    id TEXT PRIMARY KEY,
+    base_hash TEXT,
+    doc_hash TEXT,
+    file_name TEXT,
+    role TEXT,            -- primary | attached
+    pages TEXT,           -- page range when the file held several shipments
+    added_by TEXT,
+    added_at TEXT
+  )
+`).run();
+db.prepare("CREATE INDEX IF NOT EXISTS draft_documents_base ON draft_documents(base_hash)").run();
+
+/* Model refinement calls: provider, model, latency and tokens per extraction (cache_key = draft lineage) */
+db.prepare(`
+  CREATE TABLE IF NOT EXISTS llm_calls (
+    id TEXT PRIMARY KEY,
+    created_at TEXT,
+    doc_hash TEXT,
+    cache_key TEXT,
+    request_key TEXT,     -- sha256 of the primary text (recording / replay name)
+    provider TEXT,
+    model TEXT,
+    status TEXT,          -- ok | failed
+    latency_ms INTEGER,
+    input_tokens INTEGER,
+    output_tokens INTEGER,
+    error TEXT
+  )
+`).run();
+db.prepare("CREATE INDEX IF NOT EXISTS llm_calls_key ON llm_calls(cache_key)").run();
+
+/* Batches: one multi-file / ZIP upload, one job per contained PDF */
+db.prepare(`
+  CREATE TABLE IF NOT EXISTS batches (
+    id TEXT PRIMARY KEY,
+    author TEXT,
+    created_at TEXT,
+    file_count INTEGER,
+    skipped_json TEXT
+  )
+`).run();
+
+/* Address book: consignees, carriers and notify parties (master data matched against extracted blocks) */
+db.prepare(`
+  CREATE TABLE IF NOT EXISTS parties (
+    id TEXT PRIMARY KEY,
+    kind TEXT NOT NULL,   -- consignee | carrier | notify
+    name TEXT NOT NULL,
+    street TEXT,
+    postal TEXT,
+    city TEXT,
+    country TEXT,         -- ISO 3166 alpha-2
+    contact TEXT,
+    email TEXT,
+    phone TEXT,
+    vat_no TEXT,
+    eori TEXT,
+    customer_no TEXT,
+    created_at TEXT,
+    updated_at TEXT,
+    created_by TEXT
+  )
+`).run();
+// one party per kind and customer_no, so the customer_no match is never ambiguous
+try {
+  db.prepare("CREATE UNIQUE INDEX IF NOT EXISTS parties_kind_customer_no ON parties(kind, customer_no)").run();
+  db.prepare("DROP INDEX IF EXISTS parties_customer_no").run();
+} catch (e) {
+  console.warn("parties: duplicate customer numbers, merge them to enforce uniqueness (" + e.message + ")");
+  db.prepare("CREATE INDEX IF NOT EXISTS parties_customer_no ON parties(customer_no)").run();
+}
+
 // auto-migrate (idempotent)
 function ensureColumns(table, cols) {
   const existing = db.prepare(`PRAGMA table_info(${table})`).all();
@@ -164,15 +437,216 @@ ensureColumns("shipments", {
   notify1_phone: "TEXT",
   notify2_email: "TEXT",
   notify2_phone: "TEXT",
-  vat_no: "TEXT"
+  vat_no: "TEXT",
+  draft_id: "TEXT",
+  incoterm: "TEXT",
+  incoterm_place: "TEXT",
+  field_raw_json: "TEXT",
+  consignee_party_id: "TEXT REFERENCES parties(id)",
+  notify_party_id: "TEXT REFERENCES parties(id)",
+  carrier_party_id: "TEXT REFERENCES parties(id)"
 });
+// form "extras" (collectForm) persisted as first-class shipment columns
+const SHIPMENT_EXTRAS = {
+  shipper_company: "TEXT",
+  shipper_contact: "TEXT",
+  shipper_address: "TEXT",
+  consignee_company: "TEXT",
+  importer_tax_id: "TEXT",
+  notify_company: "TEXT",
+  notify_contact: "TEXT",
+  pol: "TEXT",
+  pod: "TEXT",
+  final_delivery_address: "TEXT",
+  volume_cbm: "REAL",
+  special_handling: "TEXT",
+  marks_text: "TEXT",
+  labelling_text: "TEXT",
+  bl_type: "TEXT",
+  bl_originals: "INTEGER",
+  forwarder_contact: "TEXT",
+  destination_contact: "TEXT"
+};
+ensureColumns("shipments", SHIPMENT_EXTRAS);
 ensureColumns("items", { packaging: "TEXT", pallets: "INTEGER" });
+ensureColumns("drafts", { author: "TEXT", doc_hash: "TEXT", doc_pages: "TEXT" });
+ensureColumns("documents", { page_count: "INTEGER", size: "INTEGER", uploaded_by: "TEXT", layout_json: "TEXT" });
+db.prepare("UPDATE documents SET size = length(pdf) WHERE size IS NULL").run();
+ensureColumns("cache", { template: "TEXT", parser_version: "TEXT", doc_hash: "TEXT", pages: "TEXT", llm_raw: "TEXT", alt_json: "TEXT" });
+ensureColumns("jobs", { batch_id: "TEXT" });
+// threads: replies point at their root comment; only roots carry open/resolved
+ensureColumns("comments", { parent_id: "TEXT", status: "TEXT", resolved_by: "TEXT", resolved_at: "TEXT" });
+db.prepare("UPDATE comments SET status = 'open' WHERE status IS NULL AND parent_id IS NULL").run();
+
+/*
+ * Audit log: append-only (UPDATE/DELETE are rejected by triggers) and hash-chained —
+ * each row's hash covers its content plus the previous row's hash, so editing or
+ * removing a row in SQLite breaks verification from that row on (GET /api/audit/verify).
+ * doc_hash groups all events of one uploaded document (drafts, comments, shipment, mail).
+ */
+ensureColumns("audit", { seq: "INTEGER", doc_hash: "TEXT", route: "TEXT", changes_json: "TEXT", prev_hash: "TEXT", hash: "TEXT" });
+db.prepare("CREATE UNIQUE INDEX IF NOT EXISTS ix_audit_seq ON audit (seq)").run();
+db.prepare("CREATE INDEX IF NOT EXISTS ix_audit_doc ON audit (doc_hash)").run();
+
+function auditRowHash(r) {
+  return crypto.createHash("sha256").update([
+    r.prev_hash, r.seq, r.created_at, r.actor, r.action, r.entity, r.entity_id,
+    r.doc_hash, r.route, r.detail_json, r.changes_json
+  ].map(v => (v === null || v === undefined) ? "" : String(v)).join("\n")).digest("hex");
+}
+
+// chain rows written before hashing existed (once; afterwards the triggers forbid updates)
+db.transaction(() => {
+  const legacy = db.prepare("SELECT rowid AS rid, * FROM audit WHERE hash IS NULL ORDER BY rowid").all();
+  if (!legacy.length) return;
+  let last = db.prepare("SELECT seq, hash FROM audit WHERE hash IS NOT NULL ORDER BY seq DESC LIMIT 1").get() || { seq: 0, hash: "" };
+  for (const r of legacy) {
+    const row = { ...r, seq: last.seq + 1, prev_hash: last.hash, changes_json: r.changes_json || "[]" };
+    row.hash = auditRowHash(row);
+    db.prepare("UPDATE audit SET seq = ?, prev_hash = ?, changes_json = ?, hash = ? WHERE rowid = ?")
+      .run(row.seq, row.prev_hash, row.changes_json, row.hash, r.rid);
+    last = row;
+  }
+})();
+db.prepare("CREATE TRIGGER IF NOT EXISTS audit_no_update BEFORE UPDATE ON audit BEGIN SELECT RAISE(ABORT, 'audit log is append-only'); END").run();
+db.prepare("CREATE TRIGGER IF NOT EXISTS audit_no_delete BEFORE DELETE ON audit BEGIN SELECT RAISE(ABORT, 'audit log is append-only'); END").run();
+
+/**
+ * Append an audit entry. `req` supplies actor and route (null for background jobs; pass `by`).
+ * `changes` is a diffFields() list of { field, change, old, new }.
+ */
+const auditInsert = db.transaction(row => {
+  const last = db.prepare("SELECT seq, hash FROM audit ORDER BY seq DESC LIMIT 1").get() || { seq: 0, hash: "" };
+  row.seq = last.seq + 1;
+  row.prev_hash = last.hash;
+  row.hash = auditRowHash(row);
+  db.prepare(`INSERT INTO audit (id, seq, created_at, actor, action, entity, entity_id, doc_hash, route, detail_json, changes_json, prev_hash, hash)
+              VALUES (@id, @seq, @created_at, @actor, @action, @entity, @entity_id, @doc_hash, @route, @detail_json, @changes_json, @prev_hash, @hash)`).run(row);
+  return row;
+});
+function audit(req, action, entity, entityId, { detail, changes, doc_hash, by } = {}) {
+  return auditInsert({
+    id: nanoid(),
+    created_at: new Date().toISOString(),
+    actor: by || (req && req.user && req.user.username) || "",
+    action,
+    entity,
+    entity_id: entityId || "",
+    doc_hash: doc_hash || null,
+    route: req ? req.method + " " + req.originalUrl.split("?")[0] : "",
+    detail_json: JSON.stringify(detail || {}),
+    changes_json: JSON.stringify(changes || [])
+  });
+}
+
+/** Walk the chain; returns the first row whose link or content hash does not match. */
+function verifyAudit() {
+  let prev = "", n = 0;
+  for (const r of db.prepare("SELECT * FROM audit ORDER BY seq").iterate()) {
+    n++;
+    if (r.seq !== n) return { ok: false, rows: n - 1, broken_at: r.seq, reason: "sequence gap (row removed?)" };
+    if ((r.prev_hash || "") !== prev) return { ok: false, rows: n - 1, broken_at: r.seq, reason: "prev_hash mismatch" };
+    if (auditRowHash(r) !== r.hash) return { ok: false, rows: n - 1, broken_at: r.seq, reason: "content hash mismatch (row edited)" };
+    prev = r.hash;
+  }
+  return { ok: true, rows: n, head: prev };
+}
 
 // ---------- App ----------
 const app = express();
 app.use(express.json({ limit: "8mb" }));
 app.use(express.urlencoded({ extended: true }));
 const upload = multer({ storage: multer.memoryStorage() });
+app.set("trust proxy", 1);
+
+// ---------- Auth ----------
+const ROLES = ["uploader", "reviewer", "approver", "admin"];
+const SESSION_TTL_HOURS = parseFloat(process.env.SESSION_TTL_HOURS || "12");
+const sha256 = s => crypto.createHash("sha256").update(String(s)).digest("hex");
+
+function hashPassword(pw) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  return "scrypt$" + salt + "$" + crypto.scryptSync(String(pw), salt, 64).toString("hex");
+}
+function checkPassword(pw, stored) {
+  const [kind, salt, hex] = String(stored || "").split("$");
+  if (kind !== "scrypt" || !salt || !hex) return false;
+  const want = Buffer.from(hex, "hex");
+  const got = crypto.scryptSync(String(pw), salt, want.length);
+  return crypto.timingSafeEqual(want, got);
+}
+const parseRoles = v => (Array.isArray(v) ? v : String(v || "").split(","))
+  .map(r => String(r).trim().toLowerCase()).filter(r => ROLES.includes(r));
+const publicUser = u => u && ({ id: u.id, username: u.username, display_name: u.display_name || "", roles: parseRoles(u.roles) });
+
+function createUser({ username, password, roles, display_name }) {
+  const id = nanoid();
+  db.prepare("INSERT INTO users (id, username, display_name, password_hash, roles, disabled, created_at) VALUES (?, ?, ?, ?, ?, 0, ?)")
+    .run(id, String(username).trim(), display_name || "", hashPassword(password), parseRoles(roles).join(","), new Date().toISOString());
+  return db.prepare("SELECT * FROM users WHERE id = ?").get(id);
+}
+
+// first server start: make sure somebody can log in (CLI commands never create users)
+function ensureAdmin() {
+  if (db.prepare("SELECT COUNT(*) AS n FROM users").get().n) return;
+  const username = process.env.ADMIN_USER || "admin";
+  const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(9).toString("base64url");
+  createUser({ username, password, roles: ROLES, display_name: "Administrator" });
+  // a generated password never goes to the logs, only to a file only this user can read
+  if (!process.env.ADMIN_PASSWORD) {
+    const file = process.env.ADMIN_PASSWORD_FILE || path.join(path.dirname(path.resolve(DB_PATH)), "initial-admin-password");
+    fs.writeFileSync(file, password + "\n", { mode: 0o600 });
+    fs.chmodSync(file, 0o600);
+    console.warn(`Created initial admin user "${username}"; its password is in ${file}`);
+  }
+}
+// compared against when the username is unknown, so both failures cost one scrypt
+const DUMMY_PASSWORD_HASH = hashPassword(crypto.randomBytes(16).toString("hex"));
+
+function readCookie(req, name) {
+  for (const part of String(req.headers.cookie || "").split(";")) {
+    const i = part.indexOf("=");
+    if (i > 0 && part.slice(0, i).trim() === name) return decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return "";
+}
+
+/** Resolve the caller from a Bearer API token or the session cookie. */
+function userFromRequest(req) {
+  const auth = String(req.headers.authorization || "");
+  if (/^Bearer\s+/i.test(auth)) {
+    const t = db.prepare("SELECT * FROM api_tokens WHERE token_hash = ? AND revoked_at IS NULL").get(sha256(auth.replace(/^Bearer\s+/i, "").trim()));
+    if (!t) return null;
+    db.prepare("UPDATE api_tokens SET last_used_at = ? WHERE id = ?").run(new Date().toISOString(), t.id);
+    const u = db.prepare("SELECT * FROM users WHERE id = ? AND disabled = 0").get(t.user_id);
+    return u ? { ...publicUser(u), via: "token" } : null;
+  }
+  const sid = readCookie(req, "sid");
+  if (!sid) return null;
+  const sess = db.prepare("SELECT * FROM sessions WHERE token_hash = ?").get(sha256(sid));
+  if (!sess || sess.expires_at < new Date().toISOString()) return null;
+  const u = db.prepare("SELECT * FROM users WHERE id = ? AND disabled = 0").get(sess.user_id);
+  return u ? { ...publicUser(u), via: "session" } : null;
+}
+
+const PUBLIC_PATHS = new Set(["/login", "/api/login", "/api/health"]);
+app.use((req, res, next) => {
+  if (PUBLIC_PATHS.has(req.path)) return next();
+  req.user = userFromRequest(req);
+  if (req.user) return next();
+  if (req.method === "GET" && !req.path.startsWith("/api/")) return res.redirect("/login");
+  res.status(401).json({ error: "Authentication required" });
+});
+
+/** Route guard: caller needs one of `roles` (admin passes every check). */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    const have = (req.user && req.user.roles) || [];
+    if (have.includes("admin") || roles.some(r => have.includes(r))) return next();
+    res.status(403).json({ error: "Requires role: " + roles.join(" or ") });
+  };
+}
+const actor = req => (req.user && req.user.username) || "";
 
 // ---------- Helpers ----------
 function clean(s) {
@@ -188,25 +662,32 @@ function clean(s) {
 }
 const stripPrefix = s => (s || "").replace(/^[\s:!•._-]+/, "").trim();
 const onlyDigits  = s => (s || "").replace(/\D+/g, "");
-
-function validateAndScore(f) {
-  let score = 0;
-  const warn = [];
-  const has = k => f[k] && String(f[k]).trim().length > 0;
-
-  if (has("shipment_no") && /\d{6,}/.test(f.shipment_no)) score += 15; else warn.push("Shipment No missing/short");
-  if (has("order_no")    && /\d{6,}/.test(f.order_no))     score += 10;
-  if (has("loading_date") && /\d{2}[./-]\d{2}[./-]\d{2,4}/.test(f.loading_date)) score += 8; else warn.push("Loading date missing");
-  if (has("scheduled_delivery_date") && /\d{2}[./-]\d{2}[./-]\d{2,4}/.test(f.scheduled_delivery_date)) score += 6;
-  if (has("consignee_address") && f.consignee_address.split("\n").length >= 2) score += 15; else warn.push("Consignee address incomplete");
-  if (Array.isArray(f.items) && f.items.length > 0) score += 10;
-  if (f.total_net_kg && f.total_gross_kg && f.total_gross_kg >= f.total_net_kg) score += 10; else warn.push("Totals inconsistent/missing");
-  if (has("hs_code") && /\d{6,8}/.test(f.hs_code)) score += 5;
-
-  score = Math.max(5, Math.min(100, score));
-  return { score, warnings: warn };
+/*
+ * "24.000,5" / "24,000.5" / "2,500" / "0.125" → number. A lone separator is a thousands mark
+ * only before exactly 3 digits and after a leading group of 1–3 digits that is not "0"
+ * ("2,500" is 2500, "0.125" and "1000.500" are decimals).
+ */
+function toNumber(s) {
+  let v = String(s ?? "").replace(/[^\d.,\-]/g, "");
+  if (!/\d/.test(v)) return null;
+  const lastDot = v.lastIndexOf("."), lastComma = v.lastIndexOf(",");
+  if (lastDot >= 0 && lastComma >= 0) {
+    const dec = lastDot > lastComma ? "." : ",";
+    v = v.split(dec === "." ? "," : ".").join("").replace(dec, ".");
+  } else if (lastDot >= 0 || lastComma >= 0) {
+    const sep = lastDot >= 0 ? "." : ",";
+    const parts = v.split(sep);
+    const lead = parts[0].replace("-", "");
+    const grouped = parts.length > 2 || (parts[1].length === 3 && /^[1-9]\d{0,2}$/.test(lead));
+    v = grouped ? parts.join("") : parts.join(".");
+  }
+  const n = parseFloat(v);
+  return Number.isFinite(n) ? n : null;
 }
 
+const OCR_LOW_CONF = parseInt(process.env.OCR_LOW_CONF || "60", 10);
+const fieldLabel = k => k.replace(/^items\.(\d+)\./, (_, i) => "Item " + (+i + 1) + " ").replace(/_/g, " ").replace(/^./, c => c.toUpperCase());
+
 function match(re, text, i = 1) { const m = re.exec(text); return m ? clean(m[i]) : ""; }
 function matchAll(re, text) { const out = []; let m; while ((m = re.exec(text)) !== null) out.push(m); return out; }
 function normalizeEmailSpaces(s) { return (s || "").replace(/@([^\s]+)/g, (_, rest) => '@' + rest.replace(/\s+/g, '')); }
@@ -290,15 +771,16 @@ function parseLabeledFields(block, labels) {
   }
   return res;
 }
-function parseNotify(fullText, which = 1) {
+// `label` then everything up to the first line starting with one of `ends` (or end of text)
+function matchUntil(label, ends, text) {
+  const alt = ends.map(r => r.source).join("|");
+  return match(new RegExp(label.source + "([\\s\\S]*?)(?=\\n\\s*(?:" + alt + ")|\\s*$)", "i"), text);
+}
+function parseNotify(fullText, which = 1, tpl = GENERIC_TEMPLATE) {
   let address = "", email = "", phone = "";
-  const stop = [/Notify\s*2/i, /Notify\s*1/i, /Goods\s*Information/i, /B\/L/i, /HS\s*Code/i, /KRONOS/i, /Customer/i, /Order/i, /Shipping\s*Point/i];
-  let block = grabBlock(which === 1 ? /Notify\s*1[.:\-]?\s*/i : /Notify\s*2[.:\-]?\s*/i, stop, fullText, 12);
-  if (!block) {
-    block = which === 1
-      ? match(/Notify[.:\-]?\s*([\s\S]*?)(?=\n\s*(?:MARKS\s*TEXT|NOTIFY\s*2|ORDER\s*No|B\/L|HS\s*CODE|KRONOS|$))/i, fullText)
-      : match(/NOTIFY\s*2[.:\-]?\s*([\s\S]*?)(?=\n\s*(?:PLEASE\s+ISSUE|B\/L|HS\s*CODE|MARKS|KRONOS|$))/i, fullText);
-  }
+  const spec = which === 1 ? tpl.blocks.notify1 : tpl.blocks.notify2;
+  let block = grabBlock(spec.label, spec.stops.concat(tpl.shipperMarkers), fullText, 12);
+  if (!block) block = matchUntil(spec.fallback, spec.ends.concat(tpl.shipperMarkers), fullText);
   if (block) {
     const lines = block.split("\n").map(l => clean(l)).filter(Boolean);
     const addr = [];
@@ -315,7 +797,12 @@ function parseNotify(fullText, which = 1) {
 }
 
 // ---------- Extraction ----------
-async function extractTextFromBuffer(pdfBuffer) {
+/*
+ * Best plain text plus word layouts: `pages` from `pdftotext -bbox-layout` ([] when unavailable)
+ * and `ocrPages` from tesseract TSV (same shape, every word carries `conf` 0–100).
+ * `source` names the candidate the text came from, `pageCount` the pages of the PDF.
+ */
+async function extractDocument(pdfBuffer, onProgress = () => {}) {
   const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "carrier-"));
   const pdfPath = path.join(tmp, "input.pdf");
   fs.writeFileSync(pdfPath, pdfBuffer);
@@ -324,7 +811,8 @@ async function extractTextFromBuffer(pdfBuffer) {
     execFile(cmd, args, { maxBuffer: 50 * 1024 * 1024 }, (err, out) => res(err ? "" : out.toString("utf8")));
   });
 
-  const pPdfParse = (async () => { try { const a = await pdfParse(pdfBuffer); return a?.text || ""; } catch { return ""; } })();
+  onProgress({ stage: "text" });
+  const pPdfParse = (async () => { try { return await pdfParse(pdfBuffer); } catch { return null; } })();
   // prefer bbox-layout (richer structure); keep classic layout as alternate later when we re-run in /api/upload
   const pPdftotext = run("pdftotext", ["-bbox-layout", "-enc", "UTF-8", "-nopgbrk", "-q", pdfPath, "-"]);
   const pOCR = (async () => {
@@ -334,27 +822,38 @@ async function extractTextFromBuffer(pdfBuffer) {
       const dir = path.dirname(ppmPrefix);
       const base = path.basename(ppmPrefix);
       const pngs = fs.readdirSync(dir).filter(f => f.startsWith(base) && f.endsWith(".png")).sort();
-      if (!pngs.length) return "";
-      let ocrText = "";
+      if (!pngs.length) return [];
+      const ocrPages = [];
       for (const f of pngs) {
+        onProgress({ stage: "ocr", page: ocrPages.length + 1, pages: pngs.length });
         const inP = path.join(dir, f), outP = path.join(dir, "prep-" + f);
         await run("convert", [inP, "-deskew", "40%", "-strip", "-colorspace", "Gray",
                               "-contrast-stretch", "1%x1%", "-brightness-contrast", "10x15",
                               "-sharpen", "0x1", "-threshold", "60%", outP]);
-        // multi-lang helps (eng+deu common for these docs)
-        ocrText += "\n" + await run("tesseract", [outP, "stdout", "--psm", "4", "--oem", "1", "-l", "eng+deu"]);
+        // multi-lang helps (eng+deu common for these docs); TSV keeps word boxes and confidences
+        const tsv = await run("tesseract", [outP, "stdout", "--psm", "4", "--oem", "1", "-l", "eng+deu", "tsv"]);
+        ocrPages.push(parseTesseractTsv(tsv, ocrPages.length + 1, 72 / 300));
       }
-      return ocrText;
-    } catch { return ""; }
+      return ocrPages;
+    } catch { return []; }
   })();
 
-  const [t1, t2, t3] = await Promise.all([pPdfParse, pPdftotext, pOCR]);
-  const candidates = [t1, t2, t3].filter(Boolean);
-  if (!candidates.length) return "";
-
-  const best = candidates.map(t => ({ t, score: scoreText(t) }))
-                         .sort((a, b) => b.score - a.score)[0].t;
-  return best;
+  const [parsed, bbox, ocrPages] = await Promise.all([pPdfParse, pPdftotext, pOCR]);
+  const t1 = parsed?.text || "";
+  // score the bbox output as the text it lays out, not as XHTML markup
+  const pages = parseBboxLayout(bbox);
+  const pageCount = Math.max(parsed?.numpages || 0, pages.length, ocrPages.length) || null;
+  const t2 = layoutText(pages);
+  const t3 = layoutText(ocrPages);
+  const candidates = [["pdf-parse", t1], ["pdftotext", t2], ["ocr", t3]].filter(([, t]) => t);
+  if (!candidates.length) return { text: "", pages, ocrPages, source: null, pageCount };
+
+  const [source, best] = candidates.map(c => ({ c, score: scoreText(c[1]) }))
+                                   .sort((a, b) => b.score - a.score)[0].c;
+  return { text: best, pages, ocrPages, source, pageCount };
+}
+async function extractTextFromBuffer(pdfBuffer) {
+  return (await extractDocument(pdfBuffer)).text;
 }
 function scoreText(txt) {
   if (!txt) return 0;
@@ -366,8 +865,468 @@ function scoreText(txt) {
   return keyHits * 10 + Math.min(20, numbers) + Math.min(10, dates) + lenScore;
 }
 
+// ---------- Layout ----------
+/*
+ * `pdftotext -bbox-layout` XHTML → layout model (PDF points, origin top-left):
+ *   pages[] { page, width, height, blocks[] { box, lines[] { box, words[], text } }, words[] }
+ * pdftotext keeps side-by-side columns in separate blocks, so block text never mixes
+ * two header columns; the geometry queries below work on page-wide visual rows instead.
+ */
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+const decodeXml = s => s.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (m, e) =>
+  e[0] === "#" ? String.fromCodePoint(parseInt(e[1] === "x" || e[1] === "X" ? e.slice(2) : e.slice(1), e[1].toLowerCase() === "x" ? 16 : 10))
+               : (XML_ENTITIES[e] ?? m));
+
+const bboxAttr = (a, k) => { const m = new RegExp("\\b" + k + '="([^"]*)"').exec(a); return m ? parseFloat(m[1]) : 0; };
+const bboxBox = a => ({ xMin: bboxAttr(a, "xMin"), yMin: bboxAttr(a, "yMin"), xMax: bboxAttr(a, "xMax"), yMax: bboxAttr(a, "yMax") });
+const bboxChildren = (tag, xml) => matchAll(new RegExp("<" + tag + "\\b([^>]*)>([\\s\\S]*?)</" + tag + ">", "gi"), xml || "");
+
+function parseBboxLayout(xhtml) {
+  const pages = [];
+  if (!xhtml || !/<page\b/i.test(xhtml)) return pages;
+  for (const [, pageAttrs, pageXml] of bboxChildren("page", xhtml)) {
+    const blocks = [];
+    for (const [, blockAttrs, blockXml] of bboxChildren("block", pageXml)) {
+      const lines = [];
+      for (const [, lineAttrs, lineXml] of bboxChildren("line", blockXml)) {
+        const words = bboxChildren("word", lineXml)
+          .map(([, a, t]) => ({ text: clean(decodeXml(t)), ...bboxBox(a) }))
+          .filter(w => w.text);
+        if (words.length) lines.push({ ...bboxBox(lineAttrs), words, text: words.map(w => w.text).join(" ") });
+      }
+      if (lines.length) blocks.push({ ...bboxBox(blockAttrs), lines, text: lines.map(l => l.text).join("\n") });
+    }
+    pages.push({
+      page: pages.length + 1, width: bboxAttr(pageAttrs, "width"), height: bboxAttr(pageAttrs, "height"),
+      blocks, words: blocks.flatMap(b => b.lines.flatMap(l => l.words))
+    });
+  }
+  return pages;
+}
+
+/*
+ * tesseract TSV (level, page, block, par, line, word, left, top, width, height, conf, text)
+ * → one layout page. Pixel boxes are scaled to PDF points so OCR and bbox pages line up.
+ */
+function parseTesseractTsv(tsv, pageNo = 1, scale = 1) {
+  const page = { page: pageNo, width: 0, height: 0, blocks: [], words: [] };
+  const lines = new Map();
+  for (const row of String(tsv || "").split("\n").slice(1)) {
+    const c = row.split("\t");
+    if (c.length < 12) continue;
+    const [level, , block, par, line, , left, top, width, height, conf] = c.slice(0, 11).map(Number);
+    const box = { xMin: left * scale, yMin: top * scale, xMax: (left + width) * scale, yMax: (top + height) * scale };
+    if (level === 1) { page.width = box.xMax; page.height = box.yMax; continue; }
+    const text = clean(c.slice(11).join("\t"));
+    if (level !== 5 || !text) continue;
+    const key = block + "." + par + "." + line;
+    if (!lines.has(key)) lines.set(key, { block, words: [] });
+    lines.get(key).words.push({ text, ...box, conf: Math.max(0, Math.round(conf)) });
+  }
+  const boxOf = ws => ({ xMin: Math.min(...ws.map(w => w.xMin)), yMin: Math.min(...ws.map(w => w.yMin)),
+                         xMax: Math.max(...ws.map(w => w.xMax)), yMax: Math.max(...ws.map(w => w.yMax)) });
+  for (const l of lines.values()) {
+    let b = page.blocks.find(x => x.no === l.block);
+    if (!b) page.blocks.push(b = { no: l.block, lines: [] });
+    b.lines.push({ ...boxOf(l.words), words: l.words, text: l.words.map(w => w.text).join(" ") });
+  }
+  for (const b of page.blocks) {
+    Object.assign(b, boxOf(b.lines), { text: b.lines.map(l => l.text).join("\n") });
+    delete b.no;
+  }
+  page.words = page.blocks.flatMap(b => b.lines.flatMap(l => l.words));
+  return page;
+}
+
+/*
+ * Per-field OCR confidence: every token of a field value is looked up among the OCR
+ * words (case and punctuation ignored, best reading wins); the field gets the
+ * confidence of its weakest token. Tokens OCR never saw don't count; fields with no
+ * matched token get no entry. Keys are field names, items as "items.<i>.<field>".
+ */
+const ocrToken = t => String(t).toLowerCase().replace(/[^\p{L}\p{N}@]/gu, "");
+const CONF_SKIP = new Set(["signature_name", "signature_date", "confidence", "warnings", "evidence", "template", "field_confidence", "field_sources", "field_provenance", "reconciliation", "field_raw", "issues", "party_matches"]);
+function fieldConfidence(fields, ocrPages) {
+  const best = new Map();
+  for (const w of ocrPages.flatMap(p => p.words)) {
+    const k = ocrToken(w.text);
+    if (k && (best.get(k) ?? -1) < w.conf) best.set(k, w.conf);
+  }
+  const out = {};
+  if (!best.size) return out;
+  const score = (key, v) => {
+    if (v === null || v === undefined || typeof v === "object") return;
+    // numbers: "24.000" on paper is 24000 in the field, so compare digits only
+    const tokens = typeof v === "number" ? [ocrToken(String(v).replace(".", ""))] : String(v).split(/\s+/).map(ocrToken);
+    const confs = tokens.filter(t => t && best.has(t)).map(t => best.get(t));
+    if (confs.length) out[key] = Math.min(...confs);
+  };
+  for (const [k, v] of Object.entries(fields || {})) if (!CONF_SKIP.has(k)) score(k, v);
+  (fields.items || []).forEach((it, i) => { for (const [k, v] of Object.entries(it)) score("items." + i + "." + k, v); });
+  return out;
+}
+const fieldAt = (obj, key) => key.split(".").reduce((o, k) => (o == null ? undefined : o[k]), obj);
+
+/*
+ * Where field values sit on the page, for side-by-side review: boxes (one per visual line)
+ * with their text, keyed like fieldConfidence. Model evidence is placed by its start/end
+ * offsets when they point into `text` (the layout's own reading-order text), else by its
+ * snippet; every other value by its tokens, as the first run of consecutive matching words.
+ */
+function fieldRegions(fields, pages, text = "") {
+  const words = [];
+  let raw = "";
+  pages.forEach((p, pi) => {
+    if (pi) raw += "\n\f";
+    p.blocks.forEach((b, bi) => {
+      if (bi) raw += "\n";
+      b.lines.forEach((l, li) => {
+        if (li) raw += "\n";
+        l.words.forEach((w, wi) => {
+          if (wi) raw += " ";
+          words.push({ w, page: p.page, start: raw.length, end: raw.length + w.text.length, key: ocrToken(w.text) });
+          raw += w.text;
+        });
+      });
+    });
+  });
+  const lead = raw.length - raw.trimStart().length;
+  const aligned = !!text && raw.trim() === text;
+  const keyed = words.filter(x => x.key);
+
+  const tokensOf = v => typeof v === "number" ? [ocrToken(String(v).replace(".", ""))] : String(v ?? "").split(/\s+/).map(ocrToken).filter(Boolean);
+  const run = v => {
+    const tokens = tokensOf(v);
+    if (!tokens.length) return null;
+    let best = null;
+    for (let i = 0; i < keyed.length && !(best && best.n === tokens.length); i++) {
+      let n = 0;
+      while (n < tokens.length && keyed[i + n] && keyed[i + n].key === tokens[n]) n++;
+      if (n && (!best || n > best.n)) best = { i, n };
+    }
+    // a partial run only counts for longer values (an address whose first line reads differently)
+    return best && best.n >= Math.min(tokens.length, 2) ? keyed.slice(best.i, best.i + best.n) : null;
+  };
+  const r1 = n => Math.round(n * 10) / 10;
+  const boxes = ws => ws.reduce((out, { w, page }) => {
+    const last = out[out.length - 1];
+    if (last && last.page === page && Math.abs(last.yMin - w.yMin) < (w.yMax - w.yMin) / 2) {
+      Object.assign(last, { xMin: Math.min(last.xMin, r1(w.xMin)), xMax: Math.max(last.xMax, r1(w.xMax)), yMax: Math.max(last.yMax, r1(w.yMax)) });
+      last.text += " " + w.text;
+    } else {
+      out.push({ page, xMin: r1(w.xMin), yMin: r1(w.yMin), xMax: r1(w.xMax), yMax: r1(w.yMax), text: w.text });
+    }
+    return out;
+  }, []);
+
+  const out = {};
+  if (!keyed.length) return out;
+  for (const e of Array.isArray(fields.evidence) ? fields.evidence : []) {
+    if (!e || !e.field) continue;
+    let ws = null;
+    if (aligned && Number.isInteger(e.start) && Number.isInteger(e.end) && e.end > e.start
+        && ocrToken(text.slice(e.start, e.end)) === ocrToken(e.snippet || text.slice(e.start, e.end))) {
+      ws = words.filter(x => x.end - lead > e.start && x.start - lead < e.end);
+    }
+    ws = (ws && ws.length) ? ws : (run(e.snippet) || run(e.value));
+    if (ws) (out[e.field] ||= []).push(...boxes(ws));
+  }
+  const place = (key, v) => {
+    if (out[key] || v === null || v === undefined || typeof v === "object") return;
+    const ws = run(v);
+    if (ws) out[key] = boxes(ws);
+  };
+  for (const [k, v] of Object.entries(fields || {})) if (!CONF_SKIP.has(k)) place(k, v);
+  (fields.items || []).forEach((it, i) => { for (const [k, v] of Object.entries(it || {})) place("items." + i + "." + k, v); });
+  return out;
+}
+
+// Plain text in pdftotext's reading order: one line per layout line, blocks kept apart
+function layoutText(pages) {
+  return pages.map(p => p.blocks.map(b => b.text).join("\n")).join("\n\f").trim();
+}
+
+// Words → visual rows (same baseline within half a word height), left to right
+function layoutRows(words) {
+  const rows = [];
+  for (const w of [...words].sort((a, b) => a.yMin - b.yMin || a.xMin - b.xMin)) {
+    const mid = (w.yMin + w.yMax) / 2;
+    const row = rows.find(r => Math.abs(r.mid - mid) <= Math.max(2, (w.yMax - w.yMin) / 2));
+    if (row) { row.words.push(w); row.yMax = Math.max(row.yMax, w.yMax); }
+    else rows.push({ mid, yMin: w.yMin, yMax: w.yMax, words: [w] });
+  }
+  for (const r of rows) { r.words.sort((a, b) => a.xMin - b.xMin); r.text = r.words.map(w => w.text).join(" "); }
+  return rows.sort((a, b) => a.mid - b.mid);
+}
+
+// First visual row containing `labelRe`, with the words that make up the label
+function findLabel(pages, labelRe) {
+  for (const page of pages) {
+    const rows = layoutRows(page.words);
+    for (let r = 0; r < rows.length; r++) {
+      const m = new RegExp(labelRe.source, labelRe.flags.replace("g", "")).exec(rows[r].text);
+      if (!m) continue;
+      // map the match's character range back onto words
+      let pos = 0, first = -1, last = -1;
+      rows[r].words.forEach((w, i) => {
+        const start = pos, end = pos + w.text.length;
+        if (end > m.index && start < m.index + m[0].length) { if (first < 0) first = i; last = i; }
+        pos = end + 1;
+      });
+      if (first < 0) continue;
+      const label = rows[r].words.slice(first, last + 1);
+      return { page, rows, r, first, last, xMin: label[0].xMin, xMax: label[label.length - 1].xMax, height: rows[r].yMax - rows[r].yMin || 10 };
+    }
+  }
+  return null;
+}
+const gapAfter = (words, i, h) => i + 1 < words.length && words[i + 1].xMin - words[i].xMax > h * 2;
+
+/** Text to the right of a label on the same row, up to the next column gap: "Shipment No: 80012345" → "80012345" */
+function valueRightOf(pages, labelRe) {
+  const hit = findLabel(pages, labelRe);
+  if (!hit) return "";
+  const words = hit.rows[hit.r].words;
+  if (hit.last + 1 >= words.length || words[hit.last + 1].xMin - words[hit.last].xMax > hit.height * 8) return "";
+  const out = [];
+  for (let i = hit.last + 1; i < words.length; i++) {
+    out.push(words[i].text);
+    if (gapAfter(words, i, hit.height)) break;
+  }
+  return stripPrefix(out.join(" "));
+}
+
+/**
+ * Lines under a label, restricted to the label's column: left edge at the label, right
+ * edge where the next column starts on the label row (or the page edge). Stops at a
+ * blank band, at a row starting with one of `stops`, or after `maxLines`.
+ */
+function blockBelow(pages, labelRe, { stops = [], maxLines = 8 } = {}) {
+  const hit = findLabel(pages, labelRe);
+  if (!hit) return "";
+  const labelRow = hit.rows[hit.r].words;
+  let right = hit.page.width || Infinity;
+  for (let i = hit.last; i < labelRow.length; i++) {
+    if (gapAfter(labelRow, i, hit.height)) { right = labelRow[i + 1].xMin - 1; break; }
+  }
+  const left = hit.xMin - hit.height;
+  const inColumn = w => w.xMin >= left && w.xMin < right;
+  const out = [];
+  // value on the label row itself ("Consignee: ACME GmbH")
+  const sameRow = labelRow.slice(hit.last + 1).filter(inColumn).map(w => w.text).join(" ");
+  if (stripPrefix(sameRow)) out.push(stripPrefix(sameRow));
+  let lastY = hit.rows[hit.r].yMax;
+  for (let r = hit.r + 1; r < hit.rows.length && out.length < maxLines; r++) {
+    const words = hit.rows[r].words.filter(inColumn);
+    if (!words.length) { if (hit.rows[r].yMin - lastY > hit.height * 1.8) break; continue; }
+    if (words[0].yMin - lastY > hit.height * 1.8) break;
+    const text = words.map(w => w.text).join(" ");
+    if (stops.some(re => re.test(text))) break;
+    out.push(text);
+    lastY = Math.max(...words.map(w => w.yMax));
+  }
+  return clean(out.join("\n"));
+}
+
+/*
+ * Goods table from word geometry: find the header row by the template's column
+ * keywords, bucket the rows below it into those columns, stop at the total line.
+ * A row carrying a weight starts a new item; rows without one are wrapped text of
+ * the current item (or, before the first item, the start of its description).
+ */
+const NUMERIC_COLS = new Set(["net_kg", "gross_kg", "pkgs", "pallets"]);
+const PACKAGING_RE = /\b(\d+\s*(?:x\s*)?[\w\-]*\s*(?:Bags?|Big\s*Bags?|Sacks?|Drums?|Cartons?|Boxes|Box|Cases?|Crates?|IBCs?|Pails?|Cans?|Bottles?|Containers?|Rolls?|Bundles?))\b/i;
+
+function extractTableItems(pages, tpl = GENERIC_TEMPLATE) {
+  const spec = tpl.table;
+  const items = [];
+  for (const page of pages) {
+    const rows = layoutRows(page.words);
+    for (let h = 0; h < rows.length; h++) {
+      // header may be split over two lines ("Net" / "Weight")
+      const headerWords = rows[h].words.concat(
+        rows[h + 1] && rows[h + 1].yMin - rows[h].yMax < (rows[h].yMax - rows[h].yMin) ? rows[h + 1].words : []
+      );
+      const cols = {};
+      for (const w of headerWords) {
+        const key = Object.keys(spec.columns).find(k => spec.columns[k].test(w.text));
+        if (!key) continue;
+        const c = cols[key] ||= { key, xMin: w.xMin, xMax: w.xMax };
+        c.xMin = Math.min(c.xMin, w.xMin); c.xMax = Math.max(c.xMax, w.xMax);
+      }
+      const keys = Object.keys(cols).filter(k => k !== "pos");
+      if (keys.length < spec.minColumns || !(cols.net_kg || cols.gross_kg)) continue;
+
+      const order = Object.values(cols).sort((a, b) => a.xMin - b.xMin);
+      const lineH = rows[h].yMax - rows[h].yMin || 10;
+      const columnOf = w => {
+        const cx = (w.xMin + w.xMax) / 2;
+        let best = order[0], bestD = Infinity;
+        for (const c of order) {
+          const d = cx < c.xMin ? c.xMin - cx : cx > c.xMax ? cx - c.xMax : 0;
+          if (d < bestD) { best = c; bestD = d; }
+        }
+        // text spilling into a number column belongs to the nearest text column
+        if (NUMERIC_COLS.has(best.key) && !/^[\d.,]+$|^(kg|kgs|pcs|x)$/i.test(w.text)) {
+          const text = order.filter(c => !NUMERIC_COLS.has(c.key));
+          if (text.length) best = text.reduce((a, b) => Math.abs((a.xMin + a.xMax) / 2 - cx) <= Math.abs((b.xMin + b.xMax) / 2 - cx) ? a : b);
+        }
+        return best.key;
+      };
+
+      const bodyStart = headerWords.length > rows[h].words.length ? h + 2 : h + 1;
+      let cur = null, pending = [], lastY = rows[bodyStart - 1].yMax;
+      for (let r = bodyStart; r < rows.length; r++) {
+        const row = rows[r];
+        if (spec.end.test(row.text) || row.yMin - lastY > lineH * spec.maxGap) break;
+        lastY = row.yMax;
+        const cells = {};
+        for (const w of row.words) (cells[columnOf(w)] ||= []).push(w.text);
+        const cell = k => (cells[k] || []).join(" ");
+        const net = toNumber(cell("net_kg")), gross = toNumber(cell("gross_kg"));
+        const text = [cell("description"), cell("packaging")].filter(Boolean).join(" ");
+        if (net != null || gross != null) {
+          cur = {
+            product_name: pending.concat(cell("description") || []).join(" "),
+            net_kg: net, gross_kg: gross,
+            pkgs: cells.pkgs ? toNumber(cell("pkgs")) : null,
+            packaging: cell("packaging"),
+            pallets: cells.pallets ? toNumber(cell("pallets")) : null
+          };
+          items.push(cur); pending = [];
+        } else if (cur) {
+          if (cells.description) cur.product_name += " " + cell("description");
+          if (cells.packaging) cur.packaging = clean(cur.packaging + " " + cell("packaging"));
+          if (cur.pkgs == null && cells.pkgs) cur.pkgs = toNumber(cell("pkgs"));
+          if (cur.pallets == null && cells.pallets) cur.pallets = toNumber(cell("pallets"));
+        } else if (text) {
+          pending.push(text);
+        }
+      }
+      break;
+    }
+  }
+  // packaging / pallets written into the description column
+  return items.map(it => {
+    let name = clean(it.product_name);
+    const pal = /\b(\d+)\s*Pallets?\b/i.exec(name);
+    if (pal) { if (it.pallets == null) it.pallets = parseInt(pal[1], 10); name = clean(name.replace(pal[0], "")); }
+    if (!it.packaging) {
+      const pk = PACKAGING_RE.exec(name);
+      if (pk) { it.packaging = clean(pk[1]); name = clean(name.replace(pk[0], "")); }
+    }
+    return { ...it, product_name: name, pkgs: it.pkgs != null ? Math.round(it.pkgs) : null, pallets: it.pallets != null ? Math.round(it.pallets) : null };
+  }).filter(it => it.product_name);
+}
+
+// ---------- Templates ----------
+/*
+ * A template describes one shipper/customer layout: `anchors` for auto-detection
+ * (one point per hit, at least `minScore` needed), block labels/stops, item-row
+ * patterns and ban lists. Company-specific strings belong here, not in the parser.
+ * Extra templates are loaded from TEMPLATES_DIR (default ./templates): each *.js file
+ * exports a spec that is merged over the generic one.
+ */
+const NOTIFY_STOPS = [/Notify\s*2/i, /Notify\s*1/i, /Goods\s*Information/i, /B\/L/i, /HS\s*Code/i, /Customer/i, /Order/i, /Shipping\s*Point/i];
+const GENERIC_TEMPLATE = {
+  id: "generic",
+  name: "Generic carrier notification",
+  anchors: [],
+  minScore: 2,
+  shipperMarkers: [],          // lines naming the shipper itself: end blocks, never consignee/notify
+  ownSites: null,              // shipper plant names: a consignee block matching these is the wrong block
+  ownEmailDomains: [],         // shipper mail domains: never a customer email
+  carrierFallback: [],         // known forwarders, used when there is no "carrier notification to" label
+  consigneeBan: [/^(Buyer|VAT\s*No\.?)$/i],
+  blocks: {
+    carrier_to: { label: /CARRIER\s+NOTIFICATION\s+TO[:\s]*/i },
+    consignee: {
+      label: /(?:Delivery\s*Address|Consignee)[.:\-]?\s*/i,
+      end: /Customer\s*No/i,
+      stops: [/Customer\s*No/i, /Notify/i, /Marks/i, /Way of/i, /Shipping\s*Point/i, /Delivery\s*Terms/i]
+    },
+    notify1: { label: /Notify\s*1[.:\-]?\s*/i, stops: NOTIFY_STOPS, fallback: /Notify[.:\-]?\s*/i,
+               ends: [/MARKS\s*TEXT/i, /NOTIFY\s*2/i, /ORDER\s*No/i, /B\/L/i, /HS\s*CODE/i] },
+    notify2: { label: /Notify\s*2[.:\-]?\s*/i, stops: NOTIFY_STOPS, fallback: /NOTIFY\s*2[.:\-]?\s*/i,
+               ends: [/PLEASE\s+ISSUE/i, /B\/L/i, /HS\s*CODE/i, /MARKS/i] },
+    marks: { label: /MARKS?\s*TEXT[.:\-]?\s*/i, ends: [/LABELLING/i, /Notify/i, /NOTIFY/i, /B\/L/i, /HS\s*CODE/i, /Goods/i] },
+    labelling: { label: /LABELLING[.:\-]?\s*/i, ends: [/ORDER\s*No/i, /Notify/i, /NOTIFY/i, /B\/L/i, /HS\s*CODE/i] },
+    bl_remarks: { label: /B\/L\s*REMARKS[.:\-]?\s*/i, ends: [/HS\s*CODE/i, /MARKS/i] }
+  },
+  // each pattern is a global regex plus the capture group of every item field
+  itemPatterns: [],
+  // goods table header keywords (matched per word) for the geometry-based extractor
+  table: {
+    columns: {
+      pos: /^(Pos\.?|Item|#)$/i, // position numbers, dropped
+      description: /^(Description|Product|Goods|Material|Article|Commodity|Designation)$/i,
+      net_kg: /^Net/i,
+      gross_kg: /^Gross/i,
+      pallets: /^(Pallets?|Pal\.?)$/i,
+      packaging: /^(Packaging|Packing|Pack\.?\s*Type)$/i,
+      pkgs: /^(Pkgs?\.?|Packages?|Colli|Qty\.?|Quantity|Units?|Pieces|Pcs\.?)$/i
+    },
+    minColumns: 3,
+    end: /^(TOTAL|Sum|Grand\s*Total)\b/i,
+    maxGap: 3 // line heights of white space that end the table
+  }
+};
+
+const TEMPLATES = new Map();
+function registerTemplate(spec) {
+  if (!spec || !spec.id) throw new Error("Template needs an id");
+  const t = {
+    ...GENERIC_TEMPLATE, ...spec,
+    blocks: { ...GENERIC_TEMPLATE.blocks, ...(spec.blocks || {}) },
+    table: { ...GENERIC_TEMPLATE.table, ...(spec.table || {}), columns: { ...GENERIC_TEMPLATE.table.columns, ...(spec.table?.columns || {}) } }
+  };
+  TEMPLATES.set(t.id, t);
+  return t;
+}
+registerTemplate(GENERIC_TEMPLATE);
+
+registerTemplate({
+  id: "kronos",
+  name: "KRONOS carrier notification (TiO2)",
+  // only strings of this shipper: the layout labels ("Carrier notification to", "Your Partner", …) are generic
+  anchors: [/KRONOS/i, /TITANIUM\s+DIOXIDE/i, /@kronosww\.com/i],
+  shipperMarkers: [/KRONOS/i],
+  ownSites: /NORDENHAM|LEVERKUSEN|NIEHL|MOLENKOPF/i,
+  ownEmailDomains: ["kronosww.com"],
+  carrierFallback: [/Expeditors International GmbH/i],
+  consigneeBan: [...GENERIC_TEMPLATE.consigneeBan, /KRONOS/i, /Peschstrasse/i, /Leverkusen/i],
+  itemPatterns: [{
+    re: /(TITANIUM DIOXIDE[^\n]*?Type\s*\S+)[^\n]*?([0-9\.,]+)\s*KG\s+([0-9]+)\s+([0-9\.,]+)\s*KG[\s\S]*?(\d+\s*(?:PE-Bags|Paper Bags|Big Bag).*?)(?:\n(\d+)\s*Pallets?)?/gi,
+    groups: { product_name: 1, net_kg: 2, pkgs: 3, gross_kg: 4, packaging: 5, pallets: 6 }
+  }]
+});
+
+const TEMPLATES_DIR = process.env.TEMPLATES_DIR || path.join(__dirname, "templates");
+if (fs.existsSync(TEMPLATES_DIR)) {
+  for (const f of fs.readdirSync(TEMPLATES_DIR).filter(f => f.endsWith(".js")).sort()) {
+    try { registerTemplate(require(path.resolve(TEMPLATES_DIR, f))); }
+    catch (e) { console.error("Template " + f + " not loaded:", e.message); }
+  }
+}
+
+/** Pick the template whose anchors match best; falls back to generic. */
+function detectTemplate(text) {
+  let best = { template: GENERIC_TEMPLATE, score: 0 };
+  for (const t of TEMPLATES.values()) {
+    if (t === GENERIC_TEMPLATE) continue;
+    const score = t.anchors.reduce((n, re) => n + (re.test(text) ? 1 : 0), 0);
+    if (score >= t.minScore && score > best.score) best = { template: t, score };
+  }
+  return best;
+}
+const templateInfo = (t, score) => ({ id: t.id, name: t.name, score: score ?? null });
+
 // ---------- Parser ----------
-function parseFieldsFromText(textRaw) {
+// Bump whenever parseFieldsFromText or a built-in template extracts differently: cached parses
+// of an older version are not reused, and `reparse` brings them up to date.
+const PARSER_VERSION = "2026.10.4";
+
+function parseFieldsFromText(textRaw, tpl = detectTemplate(clean(textRaw)).template, pages = []) {
   const full = clean(textRaw).replace(/\r/g, "");
   const norm = full.replace(/[\t\f]+/g, " ");
 
@@ -381,7 +1340,9 @@ function parseFieldsFromText(textRaw) {
   let shipper_email  = findEmail(grabNear(/Email[.:\-]?/i, /([^\n]+)/i, headerBlock, 140)) || "";
 
   // IDs & dates
-  const grabNum = (lab) => grabNear(lab, /([0-9]{4,}[0-9A-Za-z\-]*)/, full, 120) || "";
+  // with a layout, read the value beside the label rather than whatever text follows it
+  const grabNum = (lab) =>
+    match(/([0-9]{4,}[0-9A-Za-z\-]*)/, valueRightOf(pages, lab)) || grabNear(lab, /([0-9]{4,}[0-9A-Za-z\-]*)/, full, 120) || "";
   const shipment_no = grabNum(/Shipment\s*No\b/i);
   const order_no    = grabNum(/Order\s*No\b/i);
   const delivery_no = grabNum(/Delivery\s*No\b/i);
@@ -425,35 +1386,36 @@ function parseFieldsFromText(textRaw) {
 
   // Carrier TO
   let carrier_to = "";
-  const labelCT = /CARRIER\s+NOTIFICATION\s+TO[:\s]*/i.exec(full);
-  if (labelCT) {
+  const labelCT = tpl.blocks.carrier_to.label.exec(full);
+  const carrierCol = blockBelow(pages, tpl.blocks.carrier_to.label);
+  if (carrierCol) {
+    carrier_to = sanitizeCarrierToBlock(carrierCol);
+  } else if (labelCT) {
     carrier_to = sanitizeCarrierToBlock(full.slice(labelCT.index + labelCT[0].length, labelCT.index + 600));
   } else {
-    const m = /(Expeditors International GmbH[\s\S]{0,260})/i.exec(full);
-    carrier_to = sanitizeCarrierToBlock(m ? m[1] : "");
+    for (const re of tpl.carrierFallback) {
+      const m = new RegExp("(" + re.source + "[\\s\\S]{0,260})", "i").exec(full);
+      if (m) { carrier_to = sanitizeCarrierToBlock(m[1]); break; }
+    }
   }
 
   // Consignee
   let consignee_address = "";
-  let consignee_block = match(/(?:Delivery\s*Address|Consignee)[.:\-]?\s*([\s\S]*?)\n\s*Customer\s*No/i, full);
+  const cs = tpl.blocks.consignee;
+  let consignee_block = blockBelow(pages, cs.label, { stops: cs.stops, maxLines: 12 }) ||
+    match(new RegExp(cs.label.source + "([\\s\\S]*?)\\n\\s*" + cs.end.source, "i"), full);
   if (!consignee_block) {
-    consignee_block = grabBlock(
-      /(?:Delivery\s*Address|Consignee)[.:\-]?\s*/i,
-      [/Customer\s*No/i, /Notify/i, /Marks/i, /Way of/i, /Shipping\s*Point/i, /Delivery\s*Terms/i],
-      full,
-      12
-    );
+    consignee_block = grabBlock(cs.label, cs.stops, full, 12);
   }
   if (consignee_block) {
     let lines = consignee_block.split("\n").map(l => clean(l)).filter(Boolean);
-    const BAN = /(^(Buyer|VAT\s*No\.?)$)|KRONOS|Peschstrasse|Leverkusen/i;
-    lines = lines.filter(l => !BAN.test(l));
+    lines = lines.filter(l => !tpl.consigneeBan.some(re => re.test(l)));
     let addr = lines.join("\n");
-    if (/NORDENHAM|LEVERKUSEN|NIEHL|MOLENKOPF/i.test(addr)) {
-      const all = matchAll(/(?:Delivery\s*Address|Consignee)[.:\-]?\s*([\s\S]{0,300})/gi, full);
+    if (tpl.ownSites && tpl.ownSites.test(addr)) {
+      const all = matchAll(new RegExp(cs.label.source + "([\\s\\S]{0,300})", "gi"), full);
       for (const mm of all) {
         const candidate = clean(mm[1]).split("\n").map(l=>clean(l)).filter(Boolean).join("\n");
-        if (!/NORDENHAM|LEVERKUSEN|NIEHL|MOLENKOPF/i.test(candidate) && candidate.length > 10) { addr = candidate; break; }
+        if (!tpl.ownSites.test(candidate) && candidate.length > 10) { addr = candidate; break; }
       }
     }
     consignee_address = clean(addr);
@@ -467,7 +1429,7 @@ function parseFieldsFromText(textRaw) {
   let customer_email   = findEmail(grabNear(/Customer\s*Email/i, /([^\n]+)/i, full, 140)) || "";
 
   // Guard
-  if (/@kronosww\.com$/i.test(customer_email)) customer_email = "";
+  if (tpl.ownEmailDomains.some(dom => customer_email.toLowerCase().endsWith("@" + dom.toLowerCase()))) customer_email = "";
   if (customer_phone && shipper_phone && onlyDigits(customer_phone) === onlyDigits(shipper_phone)) {
     customer_phone = "";
   }
@@ -478,8 +1440,8 @@ function parseFieldsFromText(textRaw) {
   if (vatM) vat_no = clean(vatM[1]).replace(/\s+/g, "");
 
   // Notify
-  const n1 = parseNotify(full, 1);
-  const n2 = parseNotify(full, 2);
+  const n1 = parseNotify(full, 1, tpl);
+  const n2 = parseNotify(full, 2, tpl);
   const notify1_address = n1.address || "";
   const notify1_email   = n1.email   || "";
   const notify1_phone   = n1.phone   || "";
@@ -488,10 +1450,11 @@ function parseFieldsFromText(textRaw) {
   const notify2_phone   = n2.phone   || "";
 
   // MARKS & LABELLING → remarks
-  const marksBlock = match(/MARKS?\s*TEXT[.:\-]?\s*([\s\S]*?)(?=\n\s*(?:LABELLING|Notify|NOTIFY|B\/L|HS\s*CODE|Goods|KRONOS|$))/i, full);
-  const labellingBlock = match(/LABELLING[.:\-]?\s*([\s\S]*?)(?=\n\s*(?:ORDER\s*No|Notify|NOTIFY|B\/L|HS\s*CODE|KRONOS|$))/i, full);
+  const B = tpl.blocks;
+  const marksBlock = matchUntil(B.marks.label, B.marks.ends.concat(tpl.shipperMarkers), full);
+  const labellingBlock = matchUntil(B.labelling.label, B.labelling.ends.concat(tpl.shipperMarkers), full);
 
-  const bl_remarks1 = clean(match(/B\/L\s*REMARKS[.:\-]?\s*([\s\S]*?)(?:\n\s*HS\s*CODE|(?:\n\s*MARKS)|\n\s*KRONOS|$)/i, full));
+  const bl_remarks1 = clean(matchUntil(B.bl_remarks.label, B.bl_remarks.ends.concat(tpl.shipperMarkers), full));
   const bl_express  = match(/PLEASE\s+ISSUE\s+EXPRESS\s+B\/L[^\n]*/i, full);
 
   const blParts = [];
@@ -506,23 +1469,28 @@ function parseFieldsFromText(textRaw) {
 
   // Totals & items
   const t = /TOTAL\s*([0-9\.,]+)\s*KG\s*([0-9]+)\s*([0-9\.,]+)\s*KG/i.exec(full);
-  const total_net_kg   = t ? parseFloat(t[1].replace(/\./g, "").replace(",", ".")) : null;
+  // weights as printed; normalizeFields resolves the separators
+  const total_net_kg   = t ? t[1] : null;
   const total_pkgs     = t ? parseInt(t[2], 10) : null;
-  const total_gross_kg = t ? parseFloat(t[3].replace(/\./g, "").replace(",", ".")) : null;
-
-  const itemMatches = matchAll(
-    /(TITANIUM DIOXIDE[^\n]*?Type\s*\S+)[^\n]*?([0-9\.,]+)\s*KG\s+([0-9]+)\s+([0-9\.,]+)\s*KG[\s\S]*?(\d+\s*(?:PE-Bags|Paper Bags|Big Bag).*?)(?:\n(\d+)\s*Pallets?)?/gi,
-    full
-  );
-  const items = itemMatches.map(m => {
-    const product_name = clean(m[1]);
-    const net_kg   = parseFloat(m[2].replace(/\./g, "").replace(",", ".")) || null;
-    const pkgs     = parseInt(m[3], 10) || null;
-    const gross_kg = parseFloat(m[4].replace(/\./g, "").replace(",", ".")) || null;
-    const packaging = clean(m[5]);
-    const pallets   = m[6] ? parseInt(m[6], 10) : null;
-    return { product_name, net_kg, gross_kg, pkgs, packaging, pallets };
-  });
+  const total_gross_kg = t ? t[3] : null;
+
+  const items = [];
+  for (const { re, groups: g } of tpl.itemPatterns) {
+    for (const m of matchAll(new RegExp(re.source, re.flags.includes("g") ? re.flags : re.flags + "g"), full)) {
+      const kg = v => (v ? clean(v) : null);
+      const int = v => (v ? parseInt(v, 10) || null : null);
+      items.push({
+        product_name: clean(m[g.product_name]),
+        net_kg: kg(m[g.net_kg]),
+        gross_kg: kg(m[g.gross_kg]),
+        pkgs: int(m[g.pkgs]),
+        packaging: g.packaging ? clean(m[g.packaging]) : "",
+        pallets: m[g.pallets] ? parseInt(m[g.pallets], 10) : null
+      });
+    }
+  }
+  // no template row pattern matched: read the goods table from the page geometry
+  if (!items.length && pages.length) items.push(...extractTableItems(pages, tpl));
 
   const po_no_explicit = match(/PO\s*No[.:\-]?\s*([A-Za-z0-9/ -]+)/i, full);
   const po_no = (order_label || po_no_explicit || customer_po || "").trim();
@@ -588,27 +1556,317 @@ function parseFieldsFromText(textRaw) {
   };
 }
 
-// ---------- NEW: OpenAI JSON schema & reconciliation ----------
-const extractionSchema = {
-  name: "ShipmentExtraction",
-  schema: {
-    type: "object",
-    additionalProperties: false,
-    properties: {
-      your_partner: { type: "string" },
-      shipper_phone: { type: "string" },
-      shipper_email: { type: "string" },
-      shipment_no: { type: "string" },
-      order_no: { type: "string" },
-      delivery_no: { type: "string" },
-      loading_date: { type: "string" },
-      scheduled_delivery_date: { type: "string" },
-      po_no: { type: "string" },
-      order_label: { type: "string" },
-      shipping_street: { type: "string" },
-      shipping_postal: { type: "string" },
-      shipping_city: { type: "string" },
-      shipping_country: { type: "string" },
+// ---------- Normalization ----------
+/*
+ * Canonical forms for values as printed (parser) or typed (form saves): ISO 8601 dates
+ * (day first, "dd.mm.yy" → 20yy), weights with the locale's separators resolved (toNumber),
+ * E.164 phone numbers, ISO 3166 alpha-2 countries, and the Incoterm split from its named
+ * place into incoterm / incoterm_place (delivery_terms itself stays as written). Every value
+ * replaced is kept in `field_raw` ("items.<i>.<field>" for goods rows); one that does not
+ * parse is left as it is.
+ */
+const present = v => v !== null && v !== undefined && String(v).trim() !== "";
+const DATE_FIELDS = ["loading_date", "scheduled_delivery_date", "signature_date"];
+const WEIGHT_FIELDS = ["total_net_kg", "total_gross_kg"];
+// phone → where its country comes from when the number is written nationally
+const PHONE_FIELDS = { shipper_phone: "shipping_country", customer_phone: "consignee_address",
+                       notify1_phone: "notify1_address", notify2_phone: "notify2_address" };
+
+// alpha-2, calling code, names (English, German, local) and alpha-3
+const COUNTRIES = [
+  ["DE", "49", "Germany", "Deutschland", "DEU"], ["AT", "43", "Austria", "Österreich", "AUT"],
+  ["CH", "41", "Switzerland", "Schweiz", "Suisse", "Svizzera", "CHE"], ["NL", "31", "Netherlands", "Niederlande", "Holland", "Nederland", "NLD"],
+  ["BE", "32", "Belgium", "Belgien", "Belgique", "België", "BEL"], ["LU", "352", "Luxembourg", "Luxemburg", "LUX"],
+  ["FR", "33", "France", "Frankreich", "FRA"], ["IT", "39", "Italy", "Italien", "Italia", "ITA"],
+  ["ES", "34", "Spain", "Spanien", "España", "ESP"], ["PT", "351", "Portugal", "PRT"],
+  ["GB", "44", "United Kingdom", "UK", "Great Britain", "England", "Großbritannien", "Vereinigtes Königreich", "GBR"],
+  ["IE", "353", "Ireland", "Irland", "IRL"], ["DK", "45", "Denmark", "Dänemark", "Danmark", "DNK"],
+  ["NO", "47", "Norway", "Norwegen", "Norge", "NOR"], ["SE", "46", "Sweden", "Schweden", "Sverige", "SWE"],
+  ["FI", "358", "Finland", "Finnland", "Suomi", "FIN"], ["PL", "48", "Poland", "Polen", "Polska", "POL"],
+  ["CZ", "420", "Czech Republic", "Czechia", "Tschechien", "Česko", "CZE"], ["SK", "421", "Slovakia", "Slowakei", "Slovensko", "SVK"],
+  ["HU", "36", "Hungary", "Ungarn", "Magyarország", "HUN"], ["SI", "386", "Slovenia", "Slowenien", "Slovenija", "SVN"],
+  ["HR", "385", "Croatia", "Kroatien", "Hrvatska", "HRV"], ["RO", "40", "Romania", "Rumänien", "România", "ROU"],
+  ["BG", "359", "Bulgaria", "Bulgarien", "България", "BGR"], ["GR", "30", "Greece", "Griechenland", "Hellas", "Ελλάδα", "GRC", "EL"],
+  ["CY", "357", "Cyprus", "Zypern", "CYP"], ["MT", "356", "Malta", "MLT"], ["EE", "372", "Estonia", "Estland", "Eesti", "EST"],
+  ["LV", "371", "Latvia", "Lettland", "Latvija", "LVA"], ["LT", "370", "Lithuania", "Litauen", "Lietuva", "LTU"],
+  ["TR", "90", "Turkey", "Türkei", "Türkiye", "TUR"], ["UA", "380", "Ukraine", "UKR"], ["RS", "381", "Serbia", "Serbien", "Srbija", "SRB"],
+  ["US", "1", "United States", "USA", "United States of America", "Vereinigte Staaten"], ["CA", "1", "Canada", "Kanada", "CAN"],
+  ["MX", "52", "Mexico", "Mexiko", "México", "MEX"], ["BR", "55", "Brazil", "Brasilien", "Brasil", "BRA"],
+  ["AR", "54", "Argentina", "Argentinien", "ARG"], ["CL", "56", "Chile", "CHL"],
+  ["CN", "86", "China", "Volksrepublik China", "CHN"], ["HK", "852", "Hong Kong", "Hongkong", "HKG"],
+  ["TW", "886", "Taiwan", "TWN"], ["JP", "81", "Japan", "JPN"], ["KR", "82", "South Korea", "Korea", "Südkorea", "KOR"],
+  ["IN", "91", "India", "Indien", "IND"], ["SG", "65", "Singapore", "Singapur", "SGP"], ["MY", "60", "Malaysia", "MYS"],
+  ["TH", "66", "Thailand", "THA"], ["VN", "84", "Vietnam", "Viet Nam", "VNM"], ["ID", "62", "Indonesia", "Indonesien", "IDN"],
+  ["AU", "61", "Australia", "Australien", "AUS"], ["NZ", "64", "New Zealand", "Neuseeland", "NZL"],
+  ["AE", "971", "United Arab Emirates", "UAE", "Vereinigte Arabische Emirate", "ARE"], ["SA", "966", "Saudi Arabia", "Saudi-Arabien", "SAU"],
+  ["IL", "972", "Israel", "ISR"], ["EG", "20", "Egypt", "Ägypten", "EGY"], ["MA", "212", "Morocco", "Marokko", "MAR"],
+  ["ZA", "27", "South Africa", "Südafrika", "ZAF"], ["NG", "234", "Nigeria", "NGA"]
+];
+const foldName = s => String(s ?? "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase().replace(/[^\p{L}\p{N}]+/gu, " ").trim();
+const COUNTRY_BY_NAME = new Map();
+const CALLING_CODES = {};
+for (const [code, calling, ...names] of COUNTRIES) {
+  CALLING_CODES[code] = calling;
+  for (const n of [code, ...names]) COUNTRY_BY_NAME.set(foldName(n), code);
+}
+// countries without a trunk 0: the national number follows the country code as written
+const TRUNKLESS = new Set(["IT", "GR", "ES", "PT", "DK", "NO", "LU", "MT", "CY", "EE", "LV", "SG", "HK", "US", "CA"]);
+
+const countryCode = v => COUNTRY_BY_NAME.get(foldName(v)) || null;
+// the country line closing an address block ("18545 Piraeus\nGreece", "… GR-18545 Piraeus")
+function addressCountry(block) {
+  const last = String(block || "").split("\n").map(s => s.trim()).filter(Boolean).pop() || "";
+  return countryCode(last) || countryCode((/^([A-Z]{2})-\d/.exec(last) || [])[1]) || null;
+}
+
+function isoDate(v) {
+  const s = String(v ?? "").trim();
+  let m = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(s), y, mo, d;
+  if (m) [, y, mo, d] = m;
+  else if ((m = /^(\d{1,2})[./-](\d{1,2})[./-](\d{2}|\d{4})$/.exec(s))) [, d, mo, y] = m;
+  else return null;
+  if (y.length === 2) y = "20" + y;
+  const dt = new Date(Date.UTC(+y, +mo - 1, +d));
+  if (dt.getUTCFullYear() !== +y || dt.getUTCMonth() !== +mo - 1 || dt.getUTCDate() !== +d) return null;
+  return dt.toISOString().slice(0, 10);
+}
+
+function e164(v, country) {
+  let s = String(v ?? "").replace(/\(0\)/g, "").replace(/[^\d+]/g, "");
+  if (s.startsWith("00")) s = "+" + s.slice(2);
+  if (!s.startsWith("+")) {
+    // national format: needs a known country (and its trunk 0 where there is one)
+    if (!country || !CALLING_CODES[country]) return null;
+    if (TRUNKLESS.has(country)) s = "+" + CALLING_CODES[country] + s;
+    else if (s.startsWith("0")) s = "+" + CALLING_CODES[country] + s.slice(1);
+    else return null;
+  }
+  return /^\+[1-9]\d{7,14}$/.test(s) ? s : null;
+}
+
+const INCOTERMS = new Set(["EXW", "FCA", "CPT", "CIP", "DAP", "DPU", "DDP", "FAS", "FOB", "CFR", "CIF", "DAT", "DDU", "DAF", "DES", "DEQ"]);
+// "CIF Piraeus" / "Incoterms 2020: FCA Nordenham, DE" → { incoterm, place }
+function splitIncoterm(v) {
+  const s = String(v ?? "").replace(/\bIncoterms?(?:\s*®)?(?:\s*20\d\d)?\s*[:\-]?/gi, " ").trim();
+  const m = /^(C\s*&\s*F|CNF|[A-Z]{3})\b[\s,:;\-–]*(.*)$/i.exec(s);
+  if (!m) return null;
+  const term = /^(C\s*&\s*F|CNF)$/i.test(m[1]) ? "CFR" : m[1].toUpperCase();
+  if (!INCOTERMS.has(term)) return null;
+  return { incoterm: term, place: m[2].replace(/[\s,.;\-–]+$/, "").trim() };
+}
+
+function normalizeFields(fields) {
+  const out = { ...fields };
+  const raw = { ...(fields.field_raw || {}) };
+  const put = (key, value, n) => {
+    if (n === null || n === undefined) return value;
+    if (String(n) !== String(value)) raw[key] = value;
+    return n;
+  };
+
+  for (const k of DATE_FIELDS) if (present(out[k])) out[k] = put(k, out[k], isoDate(out[k]));
+  for (const k of WEIGHT_FIELDS) if (typeof out[k] === "string") out[k] = present(out[k]) ? put(k, out[k], toNumber(out[k])) : null;
+  if (Array.isArray(out.items)) {
+    out.items = out.items.map((it, i) => {
+      const row = { ...it };
+      for (const k of ["net_kg", "gross_kg"]) {
+        if (typeof row[k] === "string") row[k] = present(row[k]) ? put("items." + i + "." + k, row[k], toNumber(row[k])) : null;
+      }
+      return row;
+    });
+  }
+  if (present(out.shipping_country)) out.shipping_country = put("shipping_country", out.shipping_country, countryCode(out.shipping_country));
+
+  const consignee = addressCountry(out.consignee_address);
+  for (const [k, from] of Object.entries(PHONE_FIELDS)) {
+    if (!present(out[k])) continue;
+    const country = from === "shipping_country" ? countryCode(out.shipping_country) : addressCountry(out[from]) || consignee;
+    out[k] = put(k, out[k], e164(out[k], country));
+  }
+
+  if (present(out.delivery_terms)) {
+    const terms = splitIncoterm(out.delivery_terms);
+    out.incoterm = terms ? terms.incoterm : "";
+    out.incoterm_place = terms ? terms.place : "";
+  }
+
+  if (Object.keys(raw).length) out.field_raw = raw;
+  return out;
+}
+
+// ---------- Validation ----------
+/*
+ * Business checks over draft data, declared as rule specs:
+ *   { id, severity: "error" | "warning" | "info", fields, points?, message, check(f) }
+ * check returns true when the data passes (or the rule does not apply), false for the
+ * rule's message, or a message / { field, message, severity } / an array of those. Points
+ * make up the confidence score and are earned in proportion to the OCR confidence of the
+ * rule's fields. Errors block freezing. RULES_DIR holds extra *.js specs; one with the id of
+ * a built-in rule changes it, e.g. module.exports = { id: "vat_format", severity: "error" }
+ * or { id: "hs_code", enabled: false }.
+ */
+const INCOTERMS_2020 = new Set(["EXW", "FCA", "CPT", "CIP", "DAP", "DPU", "DDP", "FAS", "FOB", "CFR", "CIF"]);
+// EU VAT numbers without their country prefix (Greece uses EL, Northern Ireland XI)
+const EU_VAT = {
+  AT: /^U\d{8}$/, BE: /^[01]\d{9}$/, BG: /^\d{9,10}$/, CY: /^\d{8}[A-Z]$/, CZ: /^\d{8,10}$/, DE: /^\d{9}$/,
+  DK: /^\d{8}$/, EE: /^\d{9}$/, EL: /^\d{9}$/, ES: /^[A-Z0-9]\d{7}[A-Z0-9]$/, FI: /^\d{8}$/,
+  FR: /^[A-HJ-NP-Z0-9]{2}\d{9}$/, HR: /^\d{11}$/, HU: /^\d{8}$/, IE: /^(\d{7}[A-W][A-I]?|\d[A-Z+*]\d{5}[A-W])$/,
+  IT: /^\d{11}$/, LT: /^(\d{9}|\d{12})$/, LU: /^\d{8}$/, LV: /^\d{11}$/, MT: /^\d{8}$/, NL: /^\d{9}B\d{2}$/,
+  PL: /^\d{10}$/, PT: /^\d{9}$/, RO: /^\d{2,10}$/, SE: /^\d{12}$/, SI: /^\d{8}$/, SK: /^\d{10}$/,
+  XI: /^(\d{9}|\d{12}|GD\d{3}|HA\d{3})$/
+};
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const kgOf = v => (v === null || v === undefined || v === "" || isNaN(Number(v)) ? null : Number(v));
+// weights add up when they differ by at most 0.5 kg or 0.1 %
+const sameKg = (a, b) => Math.abs(a - b) <= Math.max(0.5, Math.abs(b) * 0.001);
+
+const RULES = new Map();
+function registerRule(spec) {
+  if (!spec || !spec.id) throw new Error("Rule needs an id");
+  const rule = { enabled: true, fields: [], points: 0, ...(RULES.get(spec.id) || {}), ...spec };
+  if (typeof rule.check !== "function") throw new Error("Rule " + spec.id + " needs a check");
+  if (!["error", "warning", "info"].includes(rule.severity)) throw new Error("Rule " + spec.id + ": unknown severity " + rule.severity);
+  RULES.set(rule.id, rule);
+  return rule;
+}
+
+[
+  { id: "shipment_no", severity: "error", fields: ["shipment_no"], points: 15, message: "Shipment No missing/short",
+    check: f => /\d{6,}/.test(f.shipment_no || "") },
+  { id: "order_no", severity: "info", fields: ["order_no"], points: 10, message: "Order No missing",
+    check: f => /\d{6,}/.test(f.order_no || "") },
+  { id: "loading_date", severity: "warning", fields: ["loading_date"], points: 8, message: "Loading date missing",
+    check: f => !present(f.loading_date) ? false : !!isoDate(f.loading_date) || "Loading date is not a valid date" },
+  { id: "scheduled_delivery_date", severity: "info", fields: ["scheduled_delivery_date"], points: 6, message: "Scheduled delivery date missing",
+    check: f => !present(f.scheduled_delivery_date) ? false
+      : !!isoDate(f.scheduled_delivery_date) || { message: "Scheduled delivery date is not a valid date", severity: "warning" } },
+  { id: "date_order", severity: "error", fields: ["loading_date", "scheduled_delivery_date"],
+    check: f => {
+      const a = isoDate(f.loading_date), b = isoDate(f.scheduled_delivery_date);
+      return !a || !b || a <= b || { field: "scheduled_delivery_date", message: "Scheduled delivery date " + b + " is before the loading date " + a };
+    } },
+  { id: "consignee_address", severity: "warning", fields: ["consignee_address"], points: 15, message: "Consignee address incomplete",
+    check: f => present(f.consignee_address) && String(f.consignee_address).split("\n").length >= 2 },
+  { id: "items", severity: "info", fields: ["items"], points: 10, message: "No goods items",
+    check: f => Array.isArray(f.items) && f.items.length > 0 },
+  { id: "totals", severity: "warning", fields: ["total_net_kg", "total_gross_kg"], points: 10, message: "Totals missing",
+    check: f => kgOf(f.total_net_kg) !== null && kgOf(f.total_gross_kg) !== null },
+  { id: "total_gross_ge_net", severity: "error", fields: ["total_gross_kg"],
+    check: f => {
+      const net = kgOf(f.total_net_kg), gross = kgOf(f.total_gross_kg);
+      return net === null || gross === null || gross >= net || "Total gross weight " + gross + " kg is below the net weight " + net + " kg";
+    } },
+  { id: "items_net_sum", severity: "error", fields: ["total_net_kg"],
+    check: f => {
+      const items = f.items || [], total = kgOf(f.total_net_kg);
+      if (total === null || !items.length || items.some(it => kgOf(it.net_kg) === null)) return true;
+      const sum = +items.reduce((s, it) => s + kgOf(it.net_kg), 0).toFixed(3);
+      return sameKg(sum, total) || "Item net weights add up to " + sum + " kg, the total says " + total + " kg";
+    } },
+  { id: "items_gross_sum", severity: "error", fields: ["total_gross_kg"],
+    check: f => {
+      const items = f.items || [], total = kgOf(f.total_gross_kg);
+      if (total === null || !items.length || items.some(it => kgOf(it.gross_kg) === null)) return true;
+      const sum = +items.reduce((s, it) => s + kgOf(it.gross_kg), 0).toFixed(3);
+      return sameKg(sum, total) || "Item gross weights add up to " + sum + " kg, the total says " + total + " kg";
+    } },
+  { id: "item_gross_ge_net", severity: "error", fields: ["items"],
+    check: f => (f.items || []).flatMap((it, i) => {
+      const net = kgOf(it.net_kg), gross = kgOf(it.gross_kg);
+      return net === null || gross === null || gross >= net ? []
+        : [{ field: "items." + i + ".gross_kg", message: "Item " + (i + 1) + ": gross weight " + gross + " kg is below the net weight " + net + " kg" }];
+    }) },
+  { id: "incoterm", severity: "error", fields: ["delivery_terms"],
+    check: f => {
+      if (!present(f.delivery_terms)) return true;
+      const term = f.incoterm || (splitIncoterm(f.delivery_terms) || {}).incoterm;
+      if (!term) return "Delivery terms do not start with an Incoterm";
+      return INCOTERMS_2020.has(term) || term + " is not an Incoterms 2020 code";
+    } },
+  { id: "hs_code", severity: "warning", fields: ["hs_code"], points: 5,
+    check: f => {
+      if (!present(f.hs_code)) return { message: "HS code missing", severity: "info" };
+      const digits = String(f.hs_code).replace(/[\s.]/g, "");
+      return (/^\d+$/.test(digits) && [6, 8, 10].includes(digits.length)) || "HS code must have 6, 8 or 10 digits";
+    } },
+  { id: "vat_format", severity: "warning", fields: ["vat_no"],
+    check: f => {
+      const v = String(f.vat_no || "").toUpperCase().replace(/[\s.\-]/g, "");
+      const re = EU_VAT[v.slice(0, 2)];
+      // only EU numbers have a known format
+      return !re || re.test(v.slice(2)) || "VAT No " + f.vat_no + " does not match the " + v.slice(0, 2) + " format";
+    } },
+  { id: "email_format", severity: "warning", fields: ["shipper_email", "customer_email", "notify1_email", "notify2_email"],
+    check: f => ["shipper_email", "customer_email", "notify1_email", "notify2_email"]
+      .filter(k => present(f[k]) && !EMAIL_RE.test(String(f[k]).trim()))
+      .map(k => ({ field: k, message: fieldLabel(k) + " is not a valid address" })) },
+  { id: "consignee_party", severity: "info", fields: ["consignee_address"],
+    check: f => {
+      const m = (f.party_matches || {}).consignee;
+      if (!present(f.consignee_address) || (m && m.confirmed)) return true;
+      return m ? "Looks like " + m.name + " from the address book — confirm the match" : "Consignee is not in the address book";
+    } },
+  { id: "ocr_confidence", severity: "warning",
+    check: f => Object.entries(f.field_confidence || {}).filter(([, c]) => c < OCR_LOW_CONF)
+      .map(([k, c]) => ({ field: k, message: fieldLabel(k) + ": low OCR confidence (" + c + "%), check against the source" })) }
+].forEach(registerRule);
+
+const RULES_DIR = process.env.RULES_DIR || path.join(__dirname, "rules");
+if (fs.existsSync(RULES_DIR)) {
+  for (const f of fs.readdirSync(RULES_DIR).filter(f => f.endsWith(".js")).sort()) {
+    try { [].concat(require(path.resolve(RULES_DIR, f))).forEach(registerRule); }
+    catch (e) { console.error("Rules " + f + " not loaded:", e.message); }
+  }
+}
+
+/**
+ * Evaluate every enabled rule: { score, issues: [{ rule, severity, field, message }], warnings }.
+ * `warnings` are the messages of errors and warnings, for status lines and lists.
+ */
+function validateFields(f) {
+  // a field read from OCR only earns its points in proportion to the OCR confidence
+  const fc = f.field_confidence || {};
+  const w = keys => Math.min(1, ...keys.flatMap(k => k === "items" ? Object.keys(fc).filter(x => x.startsWith("items.")) : [k])
+    .map(k => (fc[k] == null ? 100 : fc[k]) / 100));
+  let score = 0;
+  const issues = [];
+  for (const rule of RULES.values()) {
+    if (!rule.enabled) continue;
+    let result;
+    try { result = rule.check(f); }
+    catch (e) { result = "Rule " + rule.id + " failed: " + e.message; }
+    const failures = result === true || result === undefined || result === null ? [] : result === false ? [{}] : [].concat(result);
+    if (!failures.length) { score += rule.points * w(rule.fields); continue; }
+    for (const x of failures) {
+      const r = typeof x === "string" ? { message: x } : x;
+      issues.push({ rule: rule.id, severity: r.severity || rule.severity, field: r.field || rule.fields[0] || null, message: r.message || rule.message });
+    }
+  }
+  score = Math.max(5, Math.min(100, Math.round(score)));
+  return { score, issues, warnings: issues.filter(i => i.severity !== "info").map(i => i.message) };
+}
+
+// ---------- NEW: LLM JSON schema, providers & reconciliation ----------
+const extractionSchema = {
+  name: "ShipmentExtraction",
+  schema: {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      your_partner: { type: "string" },
+      shipper_phone: { type: "string" },
+      shipper_email: { type: "string" },
+      shipment_no: { type: "string" },
+      order_no: { type: "string" },
+      delivery_no: { type: "string" },
+      loading_date: { type: "string" },
+      scheduled_delivery_date: { type: "string" },
+      po_no: { type: "string" },
+      order_label: { type: "string" },
+      shipping_street: { type: "string" },
+      shipping_postal: { type: "string" },
+      shipping_city: { type: "string" },
+      shipping_country: { type: "string" },
       way_of_forwarding: { type: "string" },
       delivery_terms: { type: "string" },
       carrier_to: { type: "string" },
@@ -669,10 +1927,91 @@ const extractionSchema = {
   }
 };
 
-async function openaiExtract({ textBest, alternates, seedFields }) {
-  if (!useOpenAI || !OpenAI) return { ...seedFields, evidence: [] };
+/*
+ * LLM providers: complete({ system, user, key }) → { json, usage: { input_tokens, output_tokens } }.
+ * `key` names the request (sha256 of the primary text) for recording and replay.
+ *   openai             OpenAI Responses API (OPENAI_API_KEY, LLM_MODEL or OPENAI_MODEL)
+ *   openai-compatible  chat completions of a local server: Ollama, llama.cpp… (LLM_BASE_URL, LLM_MODEL)
+ *   mock               replays <LLM_MOCK_DIR>/<key>.json as written with LLM_RECORD_DIR; no network
+ */
+const LLM_MOCK_DIR = process.env.LLM_MOCK_DIR || path.join(__dirname, "llm-recordings");
+const LLM_RECORD_DIR = process.env.LLM_RECORD_DIR || "";
+
+// Model output as JSON; local models like to wrap it in a ``` fence
+function parseModelJson(text) {
+  const body = String(text || "").trim().replace(/^```(?:json)?\s*/i, "").replace(/\s*```$/, "");
+  try { return JSON.parse(body || "{}"); } catch { return {}; }
+}
 
-  const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+const LLM_PROVIDERS = {
+  openai: () => {
+    if (!OpenAI || !process.env.OPENAI_API_KEY) return null;
+    const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    return {
+      name: "openai",
+      model: process.env.LLM_MODEL || OPENAI_MODEL,
+      async complete({ system, user }) {
+        const resp = await client.responses.create({
+          model: this.model,
+          input: [
+            { role: "system", content: system },
+            { role: "user", content: user }
+          ],
+          response_format: {
+            type: "json_schema",
+            json_schema: extractionSchema
+          }
+        });
+        return {
+          json: resp.output_json ?? parseModelJson(resp.output_text),
+          usage: { input_tokens: resp.usage?.input_tokens ?? null, output_tokens: resp.usage?.output_tokens ?? null }
+        };
+      }
+    };
+  },
+  "openai-compatible": () => {
+    if (!OpenAI || !process.env.LLM_BASE_URL) return null;
+    const client = new OpenAI({ baseURL: process.env.LLM_BASE_URL, apiKey: process.env.LLM_API_KEY || "local" });
+    return {
+      name: "openai-compatible",
+      model: process.env.LLM_MODEL || "llama3.1",
+      async complete({ system, user }) {
+        const resp = await client.chat.completions.create({
+          model: this.model,
+          temperature: 0,
+          messages: [
+            { role: "system", content: system },
+            { role: "user", content: user }
+          ],
+          response_format: { type: "json_schema", json_schema: extractionSchema }
+        });
+        return {
+          json: parseModelJson(resp.choices?.[0]?.message?.content),
+          usage: { input_tokens: resp.usage?.prompt_tokens ?? null, output_tokens: resp.usage?.completion_tokens ?? null }
+        };
+      }
+    };
+  },
+  mock: () => ({
+    name: "mock",
+    model: process.env.LLM_MODEL || "replay",
+    async complete({ key }) {
+      const file = path.join(LLM_MOCK_DIR, key + ".json");
+      if (!fs.existsSync(file)) throw new Error("No recorded response " + file);
+      const rec = JSON.parse(fs.readFileSync(file, "utf8"));
+      return { json: rec.response || {}, usage: rec.usage || { input_tokens: null, output_tokens: null } };
+    }
+  })
+};
+const llm = LLM_PROVIDER && LLM_PROVIDERS[LLM_PROVIDER] ? LLM_PROVIDERS[LLM_PROVIDER]() : null;
+if (LLM_PROVIDER && !llm) console.warn("LLM_PROVIDER=" + LLM_PROVIDER + " is unknown or not configured; LLM refinement is off");
+
+/**
+ * Refine the regex parse with the configured model. Every call (also a failed one) is
+ * recorded in llm_calls with provider, model, latency and token usage under `ref`
+ * ({ doc_hash, key }). Resolves { fields, evidence, meta }; throws when the call fails.
+ */
+async function llmExtract({ textBest, alternates, seedFields, ref = {} }) {
   const MAX = 120_000;
   const best = (textBest || "").slice(0, MAX);
   const p1 = (alternates?.pdfParse || "").slice(0, MAX);
@@ -683,7 +2022,7 @@ async function openaiExtract({ textBest, alternates, seedFields }) {
     "You extract shipping fields from noisy PDFs.",
     "Return STRICT JSON that matches the provided JSON Schema.",
     "Prefer exact substrings; do not invent values.",
-    "Normalize dates to dd.mm.yyyy if possible; else yyyy-mm-dd.",
+    "Copy dates and phone numbers as printed; they are normalized afterwards.",
     "Leave a field empty if uncertain; do not guess.",
     "Provide evidence snippets for fields you populate."
   ].join(" ");
@@ -697,41 +2036,1456 @@ async function openaiExtract({ textBest, alternates, seedFields }) {
     JSON.stringify(seedFields, null, 2)
   ].join("");
 
-  const resp = await client.responses.create({
-    model: OPENAI_MODEL,
-    input: [
-      { role: "system", content: system },
-      { role: "user", content: user }
-    ],
-    response_format: {
-      type: "json_schema",
-      json_schema: extractionSchema
+  const key = crypto.createHash("sha256").update(best).digest("hex");
+  const started = Date.now();
+  const record = (status, usage = {}, error = null) => {
+    const meta = { provider: llm.name, model: llm.model, latency_ms: Date.now() - started,
+                   input_tokens: usage.input_tokens ?? null, output_tokens: usage.output_tokens ?? null };
+    db.prepare(`INSERT INTO llm_calls (id, created_at, doc_hash, cache_key, request_key, provider, model, status, latency_ms, input_tokens, output_tokens, error)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+      .run(nanoid(), new Date().toISOString(), ref.doc_hash || null, ref.key || null, key, meta.provider, meta.model, status,
+           meta.latency_ms, meta.input_tokens, meta.output_tokens, error);
+    return meta;
+  };
+
+  let out;
+  try { out = await llm.complete({ system, user, key }); }
+  catch (e) { record("failed", {}, e.message || String(e)); throw e; }
+  const meta = record("ok", out.usage);
+  if (LLM_RECORD_DIR && llm.name !== "mock") {
+    fs.mkdirSync(LLM_RECORD_DIR, { recursive: true });
+    fs.writeFileSync(path.join(LLM_RECORD_DIR, key + ".json"), JSON.stringify({
+      provider: llm.name, model: llm.model, recorded_at: new Date().toISOString(), usage: out.usage, response: out.json
+    }, null, 2));
+  }
+
+  const { evidence = [], ...llmFields } = out.json || {};
+  const rec = reconcileFields(seedFields, llmFields, evidence, [best, p1, p2, p3]);
+  return { fields: rec.fields, evidence: rec.evidence, raw: out.json || {}, meta };
+}
+
+/*
+ * Reconciliation of regex seed and model output. Every model value and evidence snippet
+ * is looked up in the primary + alternate texts on token boundaries (see foundIn); a value
+ * found in none of them is reported as a likely hallucination and never used.
+ * Per field the policy then decides:
+ *   seed   keep the regex value, the model only fills what the parser left empty
+ *   llm    take the (verified) model value, the regex value is the fallback
+ *   agree  both values must match; when they differ, or only the model found one, the
+ *          field is left empty for review
+ * LLM_FIELD_POLICY overrides the defaults, e.g. "hs_code:seed,carrier_to:llm,*:agree"
+ * ("*" is every field without a rule). The result carries `field_provenance` (regex / llm
+ * / both; "human" once a reviewer changes the value) and a `reconciliation` report.
+ */
+const RECONCILE_POLICY = {
+  "*": "llm",
+  shipment_no: "agree", order_no: "agree", delivery_no: "agree", customer_no: "agree",
+  total_net_kg: "seed", total_gross_kg: "seed", total_pkgs: "seed", hs_code: "seed", items: "seed"
+};
+for (const rule of String(process.env.LLM_FIELD_POLICY || "").split(",")) {
+  const [field, policy] = rule.split(":").map(s => s.trim());
+  if (!field) continue;
+  if (["seed", "llm", "agree"].includes(policy)) RECONCILE_POLICY[field] = policy;
+  else console.warn("LLM_FIELD_POLICY: ignoring " + JSON.stringify(rule));
+}
+const fieldPolicy = k => RECONCILE_POLICY[k] || RECONCILE_POLICY["*"];
+
+// letters and digits only: "3206 1100" and "32061100" compare equal
+const compact = v => String(v ?? "").toLowerCase().replace(/[^\p{L}\p{N}]+/gu, "");
+
+// A text as its letter/digit tokens, plus every number printed in it
+function textIndex(text) {
+  const s = String(text || "");
+  return {
+    tokens: s.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [],
+    numbers: new Set((s.match(/\d[\d.,']*\d|\d/g) || []).map(toNumber).filter(n => n !== null))
+  };
+}
+
+/*
+ * Whether `v` is printed in one of the indexed texts. A number matches where it is printed
+ * as that number ("24.000" is 24000); otherwise a short value (up to 3 letters/digits) must be a whole token;
+ * a longer one a run of whole tokens, spacing and punctuation ignored ("+49 4731 36 1234"
+ * matches "+494731361234", but "12" never matches inside "4500123456").
+ */
+function foundIn(indexes, v) {
+  const n = typeof v === "number" ? v : /^[\d.,' ]+$/.test(String(v ?? "").trim()) ? toNumber(v) : null;
+  if (n !== null && indexes.some(ix => ix.numbers.has(n))) return true;
+  if (typeof v === "number") return false;
+  const c = compact(v);
+  if (!c) return false;
+  if (c.length <= 3) return indexes.some(ix => ix.tokens.includes(c));
+  return indexes.some(({ tokens }) => tokens.some((t, i) => {
+    if (!c.startsWith(t)) return false;
+    let at = t.length;
+    for (let j = i + 1; at < c.length && j < tokens.length; j++) {
+      if (!c.startsWith(tokens[j], at)) return false;
+      at += tokens[j].length;
+    }
+    return at === c.length;
+  }));
+}
+
+function reconcileFields(seedFields, llmFields, evidence, texts) {
+  const indexes = texts.filter(Boolean).map(textIndex);
+  const found = v => foundIn(indexes, v);
+  const fields = { ...seedFields };
+  const provenance = {};
+  const unsupported = [], disagreements = [];
+
+  for (const [k, m] of Object.entries(llmFields || {})) {
+    if (k === "items" || CONF_SKIP.has(k) || typeof m === "object" && m !== null) continue;
+    const s = seedFields[k];
+    if (!present(m)) continue;
+    const ok = found(m);
+    if (!ok) unsupported.push({ field: k, value: m });
+    if (present(s) && (compact(s) === compact(m) || compact(s) === compact(normalizeFields({ ...seedFields, [k]: m })[k]))) {
+      provenance[k] = "both"; continue;
+    }
+    if (!ok) continue;
+    const policy = fieldPolicy(k);
+    if (policy === "agree") {
+      // a value only the model found is no agreement either
+      disagreements.push({ field: k, regex: present(s) ? s : null, llm: m, policy });
+      fields[k] = "";
+      continue;
     }
+    if (present(s)) disagreements.push({ field: k, regex: s, llm: m, policy });
+    if (policy === "seed" && present(s)) continue;
+    fields[k] = m;
+    provenance[k] = "llm";
+  }
+
+  // items: verified product lines only; the seed policy fills gaps of the regex rows
+  const itemFields = ["product_name", "net_kg", "gross_kg", "pkgs", "packaging", "pallets"];
+  const modelItems = (Array.isArray(llmFields?.items) ? llmFields.items : []).filter((it, i) => {
+    if (it && found(it.product_name)) return true;
+    unsupported.push({ field: "items." + i + ".product_name", value: it ? it.product_name : null });
+    return false;
+  }).map(it => Object.fromEntries(itemFields.map(f => [f, present(it[f]) && found(it[f]) ? it[f] : null])));
+  const seedItems = Array.isArray(seedFields.items) ? seedFields.items : [];
+  if (modelItems.length && (!seedItems.length || fieldPolicy("items") === "llm")) {
+    fields.items = modelItems;
+    provenance.items = "llm";
+  } else if (seedItems.length && modelItems.length) {
+    let filled = false;
+    fields.items = seedItems.map((it, i) => {
+      const m = modelItems.find(x => compact(x.product_name) === compact(it.product_name)) || modelItems[i];
+      if (!m) return it;
+      const row = { ...it };
+      for (const f of itemFields) if (!present(row[f]) && present(m[f])) { row[f] = m[f]; filled = true; }
+      return row;
+    });
+    provenance.items = filled ? "both" : "regex";
+  }
+
+  return {
+    fields: { ...fields, field_provenance: provenance, reconciliation: { policy: RECONCILE_POLICY, unsupported, disagreements } },
+    evidence: (Array.isArray(evidence) ? evidence : []).map(e => ({ ...e, verified: found(e && e.snippet) }))
+  };
+}
+
+// ---------- Letter PDF ----------
+const fmtNum = v => (v === null || v === undefined || v === "" || isNaN(Number(v)))
+  ? "" : Number(v).toLocaleString("en-US", { maximumFractionDigits: 3 });
+
+/**
+ * Render the Carrier Notification Letter for a frozen shipment.
+ * `s` is the shipment (DB row or draft data) with `items` and optional `extras`.
+ * Resolves to the PDF bytes.
+ */
+function renderLetterPdf(s) {
+  return new Promise((resolve, reject) => {
+    const x = s.extras || {};
+    const items = Array.isArray(s.items) ? s.items : [];
+    const doc = new PDFDocument({
+      size: "A4",
+      margin: 50,
+      info: { Title: "Carrier Notification " + (s.shipment_no || ""), Creator: "carrier-app" }
+    });
+    const chunks = [];
+    doc.on("data", c => chunks.push(c));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const L = doc.page.margins.left;
+    const W = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const bottom = () => doc.page.height - doc.page.margins.bottom;
+    const ensure = h => { if (doc.y + h > bottom()) doc.addPage(); };
+    const str = v => (v === null || v === undefined) ? "" : String(v).trim();
+
+    const heading = title => {
+      doc.font("Helvetica-Bold").fontSize(11).fillColor("#000000").text(title, L, doc.y, { width: W });
+      doc.moveTo(L, doc.y + 2).lineTo(L + W, doc.y + 2).lineWidth(0.5).strokeColor("#999999").stroke();
+      doc.moveDown(0.4);
+    };
+    const section = (title, rows) => {
+      ensure(40);
+      doc.moveDown(0.6);
+      if (title) heading(title);
+      for (const [label, value] of rows) {
+        const v = str(value) || "-";
+        doc.font("Helvetica").fontSize(9);
+        const h = Math.max(doc.heightOfString(label, { width: 150 }), doc.heightOfString(v, { width: W - 160 }));
+        ensure(h + 4);
+        const y = doc.y;
+        doc.fillColor("#555555").text(label, L, y, { width: 150 });
+        doc.fillColor("#000000").text(v, L + 160, y, { width: W - 160 });
+        doc.y = y + h + 4;
+      }
+    };
+
+    // Header
+    doc.font("Helvetica-Bold").fontSize(16).text("Carrier Notification Letter", L, doc.y, { width: W });
+    doc.font("Helvetica").fontSize(9).fillColor("#555555")
+      .text("Shipment No. " + (str(s.shipment_no) || "-") + "   ·   Date " + (str(s.signature_date) || dayjs().format("YYYY-MM-DD")), { width: W });
+    doc.fillColor("#000000").moveDown(0.8);
+    if (str(s.carrier_to)) {
+      doc.font("Helvetica-Bold").fontSize(9).text("To:", { width: W });
+      doc.font("Helvetica").text(str(s.carrier_to), { width: W / 2 });
+    }
+
+    section("1. Shipper (Exporter)", [
+      ["Company name", s.your_partner],
+      ["Contact person", x.shipper_contact],
+      ["Address", x.shipper_address],
+      ["Email", s.shipper_email],
+      ["Phone", s.shipper_phone],
+      ["VAT / EORI / Tax ID", s.vat_no]
+    ]);
+    section("2. Consignee", [
+      ["Company name", x.consignee_company],
+      ["Contact person", s.customer_contact],
+      ["Address", s.consignee_address],
+      ["Email", s.customer_email],
+      ["Phone", s.customer_phone],
+      ["Importer tax ID", x.importer_tax_id],
+      ["Customer No.", s.customer_no]
+    ]);
+    const notifyRows = [
+      ["Company name", x.notify_company],
+      ["Contact person", x.notify_contact],
+      ["Address", s.notify1_address],
+      ["Email", s.notify1_email],
+      ["Phone", s.notify1_phone]
+    ];
+    if (str(s.notify2_address)) {
+      notifyRows.push(["Second notify", [s.notify2_address, s.notify2_email, s.notify2_phone].map(str).filter(Boolean).join("\n")]);
+    }
+    section("3. Notify Party", notifyRows);
+    section("4. Shipment References", [
+      ["Shipment No.", s.shipment_no],
+      ["Customer Order / PO No.", s.po_no || s.order_label],
+      ["Order No.", s.order_no],
+      ["Delivery No(s).", s.delivery_no],
+      ["Customer No.", s.customer_no]
+    ]);
+    section("5. Shipment Details", [
+      ["Shipping Point", [s.shipping_street, [s.shipping_postal, s.shipping_city].map(str).filter(Boolean).join(" "), s.shipping_country].map(str).filter(Boolean).join("\n")],
+      ["Port of Loading (POL)", x.pol],
+      ["Port of Discharge (POD)", x.pod],
+      ["Delivery Terms", s.delivery_terms],
+      ["Way of Forwarding", s.way_of_forwarding],
+      ["Loading Date", s.loading_date],
+      ["Scheduled Delivery Date", s.scheduled_delivery_date],
+      ["Final Delivery Address", x.final_delivery_address]
+    ]);
+
+    // 6. Cargo: product table + totals
+    ensure(80);
+    doc.moveDown(0.6);
+    heading("6. Cargo Details");
+    const cols = [
+      { key: "n", title: "#", w: 20 },
+      { key: "product_name", title: "Product description", w: 165 },
+      { key: "net_kg", title: "Net (kg)", w: 60, num: true },
+      { key: "gross_kg", title: "Gross (kg)", w: 60, num: true },
+      { key: "pkgs", title: "Pkgs", w: 40, num: true },
+      { key: "packaging", title: "Packaging", w: 105 },
+      { key: "pallets", title: "Pallets", w: W - 450, num: true }
+    ];
+    const row = (cells, bold) => {
+      doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(8.5);
+      const h = Math.max(...cols.map((c, i) => doc.heightOfString(cells[i], { width: c.w - 4 })));
+      ensure(h + 6);
+      const y = doc.y;
+      let cx = L;
+      cols.forEach((c, i) => {
+        doc.text(cells[i], cx + 2, y, { width: c.w - 4, align: c.num ? "right" : "left" });
+        cx += c.w;
+      });
+      doc.y = y + h + 3;
+      doc.moveTo(L, doc.y).lineTo(L + W, doc.y).lineWidth(0.3).strokeColor("#cccccc").stroke();
+      doc.y += 3;
+    };
+    row(cols.map(c => c.title), true);
+    items.forEach((it, i) => row(cols.map(c => {
+      if (c.key === "n") return String(i + 1);
+      return c.num ? fmtNum(it[c.key]) : str(it[c.key]);
+    })));
+    const sum = k => items.reduce((n, it) => n + (Number(it[k]) || 0), 0);
+    row([
+      "", "TOTAL",
+      fmtNum(s.total_net_kg ?? (items.length ? sum("net_kg") : null)),
+      fmtNum(s.total_gross_kg ?? (items.length ? sum("gross_kg") : null)),
+      fmtNum(s.total_pkgs ?? (items.length ? sum("pkgs") : null)),
+      "",
+      fmtNum(items.length ? sum("pallets") || null : null)
+    ], true);
+    section("", [
+      ["HS Code", s.hs_code],
+      ["Volume (CBM)", x.volume_cbm],
+      ["Special handling", x.special_handling]
+    ]);
+
+    section("7. Marks & Numbers", [
+      ["Carton/pallet marks", x.marks_text],
+      ["Labelling text", x.labelling_text]
+    ]);
+    section("8. Bill of Lading Instructions", [
+      ["B/L type", x.bl_type],
+      ["Number of originals", x.bl_originals],
+      ["Remarks", s.bl_remarks]
+    ]);
+    section("9. Contacts for Coordination", [
+      ["Forwarder contact", x.forwarder_contact],
+      ["Buyer/agent contact at destination", x.destination_contact]
+    ]);
+
+    // Signature block
+    ensure(90);
+    doc.moveDown(1.5);
+    doc.font("Helvetica").fontSize(10).text("Sincerely,", L, doc.y, { width: W });
+    doc.moveDown(2.2);
+    doc.moveTo(L, doc.y).lineTo(L + 200, doc.y).lineWidth(0.5).strokeColor("#000000").stroke();
+    doc.moveDown(0.3);
+    doc.font("Helvetica-Bold").text(str(s.signature_name) || "Authorized Signature", L, doc.y, { width: 200 });
+    doc.font("Helvetica").text(str(s.signature_date), L, doc.y, { width: 200 });
+
+    doc.end();
   });
+}
 
-  const out = resp.output_json ?? (() => {
-    try { return JSON.parse(resp.output_text || "{}"); } catch { return {}; }
-  })();
+/** Render and store the letter for a shipment; the stored bytes are never re-rendered. */
+async function storeLetter(shipmentId, data) {
+  const pdf = await renderLetterPdf(data);
+  const sha256 = crypto.createHash("sha256").update(pdf).digest("hex");
+  db.prepare("INSERT OR IGNORE INTO letters (shipment_id, pdf, sha256, created_at) VALUES (?, ?, ?, ?)")
+    .run(shipmentId, pdf, sha256, new Date().toISOString());
+  return db.prepare("SELECT * FROM letters WHERE shipment_id = ?").get(shipmentId);
+}
+
+function shipmentDocHash(s) {
+  const d = s && s.draft_id ? db.prepare("SELECT base_hash FROM drafts WHERE id = ?").get(s.draft_id) : null;
+  return d ? d.base_hash : null;
+}
+
+/** Coerce a form extra to its column type ("" → null). */
+function extraValue(key, v) {
+  const str = (v === null || v === undefined) ? "" : String(v).trim();
+  if (!str) return null;
+  if (SHIPMENT_EXTRAS[key] === "REAL") { const n = parseFloat(str.replace(",", ".")); return isNaN(n) ? null : n; }
+  if (SHIPMENT_EXTRAS[key] === "INTEGER") { const n = parseInt(str, 10); return isNaN(n) ? null : n; }
+  return str;
+}
+
+/** Shipment row + items; extras columns are also mirrored into `extras` (the shape fillForm reads). */
+function loadShipment(id) {
+  const row = db.prepare("SELECT * FROM shipments WHERE id = ?").get(id);
+  if (!row) return null;
+  const { field_raw_json, ...s } = row;
+  const items = db.prepare("SELECT * FROM items WHERE shipment_id = ? ORDER BY rowid").all(id);
+  const extras = {};
+  for (const k of Object.keys(SHIPMENT_EXTRAS)) extras[k] = s[k] ?? "";
+  return { ...s, ...(field_raw_json ? { field_raw: JSON.parse(field_raw_json) } : {}), items, extras };
+}
+
+// ---------- Address book ----------
+/*
+ * Parties (consignees, carriers, notify parties) as master data. Extracted blocks are matched
+ * per role into `party_matches` ({ consignee, notify, carrier } → { party_id, name, score, by,
+ * confirmed }): the consignee by customer_no first, then by VAT No / EORI, and every role by a
+ * fuzzy name comparison. Key matches are confirmed right away, name matches are suggestions
+ * a reviewer confirms in the form. Confirmed matches become the shipment's *_party_id keys.
+ */
+const PARTY_KINDS = ["consignee", "carrier", "notify"];
+const PARTY_COLS = ["kind", "name", "street", "postal", "city", "country", "contact", "email", "phone", "vat_no", "eori", "customer_no"];
+// role → the draft fields of its block; notify parties are often the consignee itself
+const PARTY_ROLES = {
+  consignee: { block: "consignee_address", kinds: ["consignee"] },
+  notify: { block: "notify1_address", kinds: ["notify", "consignee"] },
+  carrier: { block: "carrier_to", kinds: ["carrier"] }
+};
+const PARTY_SUGGEST = 0.6;
+
+const LEGAL_FORMS = /\b(gmbh|co|kg|ag|se|sa|s a|ltd|limited|llc|inc|corp|bv|b v|nv|srl|spa|sarl|sas|oy|ab|as|plc|sp z o o)\b/g;
+const partyKey = s => foldName(s).replace(LEGAL_FORMS, " ").replace(/\s+/g, " ").trim();
+const idKey = s => String(s || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+// Dice coefficient of letter pairs: 1 for equal names, ~0.8 for a typo or missing word
+function similarity(a, b) {
+  const grams = s => { const t = " " + s + " ", m = new Map(); for (let i = 0; i < t.length - 1; i++) m.set(t.slice(i, i + 2), (m.get(t.slice(i, i + 2)) || 0) + 1); return m; };
+  const A = grams(partyKey(a)), B = grams(partyKey(b));
+  let common = 0, total = 0;
+  for (const [g, n] of A) { common += Math.min(n, B.get(g) || 0); total += n; }
+  for (const n of B.values()) total += n;
+  return total ? (2 * common) / total : 0;
+}
+
+const countryName = code => (COUNTRIES.find(c => c[0] === code) || [])[2] || code || "";
+// the address block as the form and the letter show it
+const partyBlock = p => [p.name, p.street, [p.postal, p.city].filter(Boolean).join(" "), countryName(p.country)].filter(Boolean).join("\n");
+const partyOut = p => ({ ...p, block: partyBlock(p) });
+
+// name + structured address from an extracted block ("Name\nStreet\nPostal City\nCountry");
+// with a separately known name the block may be the address alone
+function partyFromBlock(block, name) {
+  const lines = String(block || "").split("\n").map(l => clean(l)).filter(Boolean);
+  const named = !name || partyKey(lines[0]) === partyKey(name);
+  const rest = lines.slice(named ? 1 : 0).filter(l => !findEmail(l) && !/^(?:tel|phone|fax)\b/i.test(l));
+  const sp = parseShippingPoint(rest.join("\n"));
+  return { name: name || lines[0] || "", street: sp.street, postal: sp.postal, city: sp.city, country: countryCode(sp.country) || sp.country || "" };
+}
+
+function matchParty(role, fields) {
+  const { block, kinds } = PARTY_ROLES[role];
+  const parties = db.prepare(`SELECT * FROM parties WHERE kind IN (${kinds.map(() => "?").join(",")})`).all(...kinds);
+  if (!parties.length) return null;
+  const hit = (p, by) => ({ party_id: p.id, name: p.name, score: 1, by, confirmed: true });
+  if (role === "consignee") {
+    const no = idKey(fields.customer_no), vat = idKey(fields.vat_no);
+    const p = (no && parties.find(x => idKey(x.customer_no) === no)) || (vat && parties.find(x => idKey(x.vat_no) === vat || idKey(x.eori) === vat));
+    if (p) return hit(p, idKey(p.customer_no) === no && no ? "customer_no" : "vat_no");
+  }
+  const lines = String(fields[block] || "").split("\n").map(l => l.trim()).filter(Boolean);
+  if (!lines.length) return null;
+  let best = null;
+  for (const p of parties) {
+    // a different customer number rules the party out
+    if (role === "consignee" && fields.customer_no && p.customer_no && idKey(p.customer_no) !== idKey(fields.customer_no)) continue;
+    let score = Math.max(...lines.slice(0, 2).map(l => similarity(l, p.name)));
+    if (p.postal && lines.some(l => l.includes(p.postal))) score = Math.min(1, score + 0.1);
+    if (!best || score > best.score) best = { party_id: p.id, name: p.name, score: +score.toFixed(2), by: "name", confirmed: false };
+  }
+  return best && best.score >= PARTY_SUGGEST ? best : null;
+}
+
+/** Match every party role of a draft; roles a reviewer confirmed before are kept. */
+function matchParties(fields) {
+  const prev = fields.party_matches || {};
+  const out = {};
+  for (const role of Object.keys(PARTY_ROLES)) {
+    const m = prev[role] && prev[role].confirmed ? prev[role] : matchParty(role, fields);
+    if (m) out[role] = m;
+  }
+  return out;
+}
+
+/*
+ * A match confirmed by customer_no or VAT No holds only while the draft still carries that
+ * key: once a save changes it (or a client sends a stale match) the role is matched again.
+ */
+function recheckPartyMatches(pm, fields) {
+  const out = { ...pm };
+  for (const role of Object.keys(PARTY_ROLES)) {
+    const m = out[role];
+    if (!m || !["customer_no", "vat_no"].includes(m.by)) continue;
+    const p = db.prepare("SELECT * FROM parties WHERE id = ?").get(m.party_id);
+    const key = idKey(fields[m.by]);
+    if (key && (m.by === "customer_no" ? [p.customer_no] : [p.vat_no, p.eori]).some(v => idKey(v) === key)) continue;
+    const again = matchParty(role, fields);
+    if (again) out[role] = again;
+    else delete out[role];
+  }
+  return out;
+}
+
+// carrier named anywhere in the text, for documents without a "carrier notification to" block
+function bookCarrier(text) {
+  const hay = " " + partyKey(text) + " ";
+  const p = db.prepare("SELECT * FROM parties WHERE kind = 'carrier' ORDER BY length(name) DESC").all()
+    .find(x => partyKey(x.name) && hay.includes(" " + partyKey(x.name) + " "));
+  return p ? partyBlock(p) : "";
+}
+
+// Confirmed matches whose party still exists; anything else a client sends is dropped
+function cleanPartyMatches(pm) {
+  const out = {};
+  for (const role of Object.keys(PARTY_ROLES)) {
+    const m = pm && pm[role];
+    const p = m && m.party_id && db.prepare("SELECT id, name FROM parties WHERE id = ?").get(String(m.party_id));
+    if (p) out[role] = { party_id: p.id, name: p.name, score: +m.score || 0, by: String(m.by || "manual"), confirmed: !!m.confirmed };
+  }
+  return out;
+}
+
+function partyInput(body, old = {}) {
+  const p = { ...old };
+  for (const k of PARTY_COLS) if (body[k] !== undefined) p[k] = body[k] === null ? null : String(body[k]).trim();
+  if (body.block) Object.assign(p, Object.fromEntries(Object.entries(partyFromBlock(body.block, body.name)).filter(([k, v]) => v && !body[k])));
+  if (p.country) p.country = countryCode(p.country) || p.country;
+  if (p.phone) p.phone = e164(p.phone, p.country) || p.phone;
+  return p;
+}
+
+// another party of the same kind already holds this customer_no
+const customerNoTaken = (p, id = "") => !!p.customer_no
+  && !!db.prepare("SELECT 1 FROM parties WHERE kind = ? AND customer_no = ? AND id <> ?").get(p.kind, p.customer_no, id);
+
+app.get("/api/parties", (req, res) => {
+  const kind = req.query.kind ? String(req.query.kind) : null;
+  const q = String(req.query.q || "").trim();
+  const limit = Math.min(200, parseInt(req.query.limit || "20", 10) || 20);
+  let rows = db.prepare("SELECT * FROM parties" + (kind ? " WHERE kind = ?" : "") + " ORDER BY name").all(...(kind ? [kind] : []));
+  if (q) {
+    const key = idKey(q), prefix = partyKey(q);
+    rows = rows.map(p => ({ p, score: (key && [p.customer_no, p.vat_no, p.eori].some(v => idKey(v) === key)) ? 2
+                                     : partyKey(p.name).startsWith(prefix) ? 1.5 : similarity(q, p.name) }))
+      .filter(x => x.score >= 0.3).sort((a, b) => b.score - a.score).map(x => x.p);
+  }
+  res.json(rows.slice(0, limit).map(partyOut));
+});
+
+/** A party with its shipments (any role), newest first: the per-customer report. */
+app.get("/api/parties/:id", (req, res) => {
+  const p = db.prepare("SELECT * FROM parties WHERE id = ?").get(req.params.id);
+  if (!p) return res.status(404).json({ error: "Party not found" });
+  const shipments = db.prepare(`
+    SELECT id, created_at, shipment_no, order_no, total_net_kg, total_gross_kg,
+           CASE WHEN consignee_party_id = ? THEN 'consignee' WHEN notify_party_id = ? THEN 'notify' ELSE 'carrier' END AS role
+    FROM shipments WHERE consignee_party_id = ? OR notify_party_id = ? OR carrier_party_id = ?
+    ORDER BY datetime(created_at) DESC
+  `).all(p.id, p.id, p.id, p.id, p.id);
+  res.json({ ...partyOut(p), shipments });
+});
+
+app.post("/api/parties", requireRole("reviewer", "approver"), (req, res) => {
+  const p = partyInput(req.body || {});
+  if (!PARTY_KINDS.includes(p.kind)) return res.status(400).json({ error: "kind must be one of " + PARTY_KINDS.join(", ") });
+  if (!p.name) return res.status(400).json({ error: "name is required" });
+  if (customerNoTaken(p)) return res.status(409).json({ error: "A " + p.kind + " with customer no " + p.customer_no + " exists" });
+  const now = new Date().toISOString();
+  const row = { ...Object.fromEntries(PARTY_COLS.map(k => [k, p[k] || null])), id: nanoid(), created_at: now, updated_at: now, created_by: actor(req) };
+  db.prepare(`INSERT INTO parties (id, ${PARTY_COLS.join(", ")}, created_at, updated_at, created_by)
+              VALUES (@id, ${PARTY_COLS.map(k => "@" + k).join(", ")}, @created_at, @updated_at, @created_by)`).run(row);
+  audit(req, "party_create", "party", row.id, { changes: diffFields({}, Object.fromEntries(PARTY_COLS.map(k => [k, row[k]]))) });
+  res.status(201).json(partyOut(row));
+});
+
+app.put("/api/parties/:id", requireRole("reviewer", "approver"), (req, res) => {
+  const old = db.prepare("SELECT * FROM parties WHERE id = ?").get(req.params.id);
+  if (!old) return res.status(404).json({ error: "Party not found" });
+  const p = partyInput(req.body || {}, old);
+  if (!PARTY_KINDS.includes(p.kind)) return res.status(400).json({ error: "kind must be one of " + PARTY_KINDS.join(", ") });
+  if (!p.name) return res.status(400).json({ error: "name is required" });
+  if (customerNoTaken(p, old.id)) return res.status(409).json({ error: "A " + p.kind + " with customer no " + p.customer_no + " exists" });
+  p.updated_at = new Date().toISOString();
+  db.prepare(`UPDATE parties SET ${PARTY_COLS.map(k => k + " = @" + k).join(", ")}, updated_at = @updated_at WHERE id = @id`)
+    .run({ ...Object.fromEntries(PARTY_COLS.map(k => [k, p[k] || null])), updated_at: p.updated_at, id: old.id });
+  audit(req, "party_update", "party", old.id, {
+    changes: diffFields(Object.fromEntries(PARTY_COLS.map(k => [k, old[k]])), Object.fromEntries(PARTY_COLS.map(k => [k, p[k] || null])))
+  });
+  res.json(partyOut({ ...old, ...p }));
+});
+
+// ---------- Documents ----------
+const PAGE_DPI = 110;
+
+/** Documents of a draft lineage with their stored metadata; drafts older than draft_documents fall back to the upload. */
+function lineageDocuments(d) {
+  const rows = db.prepare(`
+    SELECT dd.doc_hash, dd.file_name, dd.role, dd.pages, dd.added_by, dd.added_at, doc.page_count, doc.size, doc.uploaded_by
+    FROM draft_documents dd LEFT JOIN documents doc ON doc.hash = dd.doc_hash
+    WHERE dd.base_hash = ? ORDER BY dd.added_at
+  `).all(d.base_hash);
+  if (rows.length) return rows;
+  const doc = db.prepare("SELECT hash, file_name, created_at, page_count, size, uploaded_by FROM documents WHERE hash = ?").get(d.doc_hash || d.base_hash);
+  return doc ? [{ doc_hash: doc.hash, file_name: doc.file_name, role: "primary", pages: d.doc_pages || null,
+                  added_by: doc.uploaded_by, added_at: doc.created_at, page_count: doc.page_count, size: doc.size, uploaded_by: doc.uploaded_by }] : [];
+}
+
+/** Documents kept with a shipment; shipments frozen before shipment_documents use their draft's. */
+function shipmentDocuments(shipmentId) {
+  const rows = db.prepare(`
+    SELECT sd.doc_hash, sd.file_name, sd.role, sd.pages, doc.page_count, doc.size, doc.uploaded_by, doc.created_at
+    FROM shipment_documents sd LEFT JOIN documents doc ON doc.hash = sd.doc_hash
+    WHERE sd.shipment_id = ? ORDER BY sd.role DESC, doc.created_at
+  `).all(shipmentId);
+  if (rows.length) return rows;
+  const s = db.prepare("SELECT draft_id FROM shipments WHERE id = ?").get(shipmentId);
+  const d = s && s.draft_id ? db.prepare("SELECT * FROM drafts WHERE id = ?").get(s.draft_id) : null;
+  return d ? lineageDocuments(d) : [];
+}
+
+/** Word layout stored at extraction ({ source, pages } in the shape of parseBboxLayout), or null. */
+function storedLayout(hash) {
+  const row = db.prepare("SELECT layout_json FROM documents WHERE hash = ?").get(hash);
+  if (!row || !row.layout_json) return null;
+  const layout = JSON.parse(row.layout_json);
+  for (const p of layout.pages) p.words = p.blocks.flatMap(b => b.lines.flatMap(l => l.words));
+  return layout;
+}
+
+// "2-3" → [2, 3]; no range means every page
+function pageNumbers(range, count) {
+  const m = /^(\d+)(?:-(\d+))?$/.exec(String(range || ""));
+  const from = m ? +m[1] : 1, to = m ? +(m[2] || m[1]) : Math.max(1, count || 1);
+  return Array.from({ length: to - from + 1 }, (_, i) => from + i);
+}
+
+// ?doc=<hash> must be one of the listed documents; default is the uploaded one
+const pickDocument = (docs, hash) => hash ? docs.find(x => x.doc_hash === String(hash)) : (docs.find(x => x.role === "primary") || docs[0]);
+
+function sendDocument(res, doc) {
+  const row = doc && db.prepare("SELECT hash, file_name, pdf FROM documents WHERE hash = ?").get(doc.doc_hash);
+  if (!row) return res.status(404).json({ error: "Document not stored" });
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", "inline; filename=" + String(row.file_name || "document.pdf").replace(/[^A-Za-z0-9_.-]+/g, "_"));
+  res.setHeader("ETag", '"' + row.hash + '"');
+  res.send(row.pdf);
+}
+
+/** One page as PNG via pdftoppm, cached in document_pages. Resolves null past the last page. */
+async function renderPage(hash, page, dpi) {
+  const hit = db.prepare("SELECT png FROM document_pages WHERE hash = ? AND page = ? AND dpi = ?").get(hash, page, dpi);
+  if (hit) return hit.png;
+  const doc = db.prepare("SELECT pdf FROM documents WHERE hash = ?").get(hash);
+  if (!doc) return null;
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "carrier-page-"));
+  try {
+    const pdfPath = path.join(tmp, "input.pdf"), out = path.join(tmp, "page");
+    fs.writeFileSync(pdfPath, doc.pdf);
+    await new Promise((resolve, reject) => execFile("pdftoppm",
+      ["-f", String(page), "-l", String(page), "-r", String(dpi), "-png", "-singlefile", pdfPath, out],
+      err => (err && err.code === "ENOENT") ? reject(Object.assign(new Error("Page rendering unavailable (pdftoppm not installed)"), { status: 501 })) : resolve()));
+    if (!fs.existsSync(out + ".png")) return null;
+    const png = fs.readFileSync(out + ".png");
+    db.prepare("INSERT OR REPLACE INTO document_pages (hash, page, dpi, png, created_at) VALUES (?, ?, ?, ?, ?)")
+      .run(hash, page, dpi, png, new Date().toISOString());
+    return png;
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+}
+
+async function sendPage(req, res, doc) {
+  if (!doc) return res.status(404).json({ error: "Document not stored" });
+  const page = parseInt(req.params.page, 10);
+  const dpi = Math.max(50, Math.min(200, parseInt(req.query.dpi, 10) || PAGE_DPI));
+  if (!(page >= 1) || (doc.page_count && page > doc.page_count)) return res.status(404).json({ error: "Page not found" });
+  try {
+    const png = await renderPage(doc.doc_hash, page, dpi);
+    if (!png) return res.status(404).json({ error: "Page not found" });
+    res.setHeader("Content-Type", "image/png");
+    res.setHeader("Cache-Control", "private, max-age=86400");
+    res.setHeader("ETag", '"' + doc.doc_hash + ":" + page + ":" + dpi + '"');
+    res.send(png);
+  } catch (e) {
+    if (!e.status) console.error("Page rendering failed:", e);
+    res.status(e.status || 500).json({ error: e.message || "Page rendering failed" });
+  }
+}
+
+// ---------- Mail ----------
+const MAIL_FROM = process.env.MAIL_FROM || process.env.SMTP_USER || "";
+let mailer = null;
+function getMailer() {
+  if (!process.env.SMTP_HOST) return null;
+  if (!mailer) {
+    const secure = !!process.env.SMTP_SECURE && process.env.SMTP_SECURE !== "0";
+    mailer = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || (secure ? "465" : "587"), 10),
+      secure,
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS || "" } : undefined
+    });
+  }
+  return mailer;
+}
+
+// unique emails (case-insensitive) found in free text or a list
+function emailList(v) {
+  const parts = Array.isArray(v) ? v : String(v || "").split(/[\n,;]+/);
+  const out = [];
+  for (const p of parts) {
+    const e = findEmail(String(p));
+    if (e && !out.some(o => o.toLowerCase() === e.toLowerCase())) out.push(e);
+  }
+  return out;
+}
+
+/**
+ * Send the frozen notification to the forwarder: To = carrier_to block (or override),
+ * CC = notify/customer contacts, attachments = stored letter + original upload.
+ * Every SMTP attempt is recorded in email_sends.
+ */
+async function sendShipmentEmail(s, { to, cc } = {}) {
+  const transport = getMailer();
+  if (!transport) throw Object.assign(new Error("SMTP not configured (set SMTP_HOST)"), { status: 503 });
+
+  const mailTo = emailList(to && to.length ? to : s.carrier_to);
+  if (!mailTo.length) throw Object.assign(new Error("No forwarder email address in carrier_to; pass 'to' explicitly"), { status: 400 });
+  const mailCc = emailList(cc && cc.length ? cc : [s.notify1_email, s.customer_email])
+    .filter(e => !mailTo.some(t => t.toLowerCase() === e.toLowerCase()));
+
+  const letter = db.prepare("SELECT * FROM letters WHERE shipment_id = ?").get(s.id) || await storeLetter(s.id, s);
+  const ref = String(s.shipment_no || s.id).replace(/[^A-Za-z0-9_-]+/g, "_");
+  const attachments = [{ filename: "carrier-notification-" + ref + ".pdf", content: letter.pdf, contentType: "application/pdf" }];
+  const primary = pickDocument(shipmentDocuments(s.id));
+  const original = primary ? db.prepare("SELECT file_name, pdf FROM documents WHERE hash = ?").get(primary.doc_hash) : null;
+  if (original) attachments.push({ filename: original.file_name || "instruction.pdf", content: original.pdf, contentType: "application/pdf" });
+
+  const refs = [
+    s.order_no && ("order " + s.order_no),
+    s.delivery_no && ("delivery " + s.delivery_no)
+  ].filter(Boolean).join(", ");
+  const subject = "Carrier Notification – Shipment " + (s.shipment_no || s.id) + (s.order_no ? " / Order " + s.order_no : "");
+  const text = [
+    "Dear Sir or Madam,",
+    "",
+    "please find attached the carrier notification for shipment " + (s.shipment_no || s.id) + (refs ? " (" + refs + ")" : "") + "."
+      + (s.loading_date ? " Loading date: " + s.loading_date + "." : ""),
+    original ? "The original shipping instruction is attached for reference." : "",
+    "",
+    "Kind regards,",
+    s.signature_name || s.your_partner || ""
+  ].join("\n");
+
+  const id = nanoid();
+  const rec = db.prepare(`INSERT INTO email_sends
+    (id, shipment_id, created_at, mail_from, mail_to, mail_cc, subject, attachments, status, message_id, smtp_response, error)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`);
+  const names = JSON.stringify(attachments.map(a => a.filename));
+  try {
+    const info = await transport.sendMail({ from: MAIL_FROM, to: mailTo, cc: mailCc, subject, text, attachments });
+    rec.run(id, s.id, new Date().toISOString(), MAIL_FROM, mailTo.join(", "), mailCc.join(", "), subject, names,
+      "sent", info.messageId || null, info.response || null, null);
+    return { id, status: "sent", to: mailTo, cc: mailCc, message_id: info.messageId, smtp_response: info.response };
+  } catch (e) {
+    rec.run(id, s.id, new Date().toISOString(), MAIL_FROM, mailTo.join(", "), mailCc.join(", "), subject, names,
+      "failed", null, e.response || null, String(e.message || e));
+    throw Object.assign(new Error("SMTP send failed: " + (e.message || "unknown")), { status: 502, send_id: id });
+  }
+}
+
+// ---------- Diff ----------
+// bookkeeping keys that are not shipment data
+const DIFF_SKIP = new Set(["id", "created_at", "draft_id", "shipment_id", "confidence", "warnings", "evidence", "status", "version_no", "item_count", "template", "field_confidence", "field_sources", "field_provenance", "reconciliation", "field_raw", "issues", "party_matches"]);
+const diffPlain = o => Object.fromEntries(Object.entries(o || {}).filter(([k]) => !DIFF_SKIP.has(k)));
+const diffVal = v => (v === null || v === undefined) ? "" : (typeof v === "object" ? JSON.stringify(v) : String(v).replace(/\r\n/g, "\n").trim());
+
+function diffScalars(prefix, a, b, out) {
+  const keys = new Set([...Object.keys(a || {}), ...Object.keys(b || {})]);
+  for (const k of keys) {
+    if (DIFF_SKIP.has(k) || k === "items" || k === "extras") continue;
+    const ov = diffVal(a?.[k]), nv = diffVal(b?.[k]);
+    if (ov === nv) continue;
+    out.push({ field: prefix + k, change: !ov ? "added" : !nv ? "removed" : "changed", old: a?.[k] ?? null, new: b?.[k] ?? null });
+  }
+}
+
+/** Pair items by product name first, then by position; report item and field level changes. */
+function diffItems(a, b, out) {
+  const A = Array.isArray(a) ? a : [], B = Array.isArray(b) ? b : [];
+  const key = it => diffVal(it && it.product_name).toLowerCase();
+  const usedB = new Set(), pairs = [];
+  A.forEach((it, i) => {
+    const j = B.findIndex((x, jj) => !usedB.has(jj) && key(x) && key(x) === key(it));
+    if (j >= 0) { usedB.add(j); pairs.push([i, j]); } else pairs.push([i, -1]);
+  });
+  for (const p of pairs) {
+    if (p[1] >= 0) continue;
+    const j = B.findIndex((_, jj) => !usedB.has(jj));
+    if (j >= 0) { usedB.add(j); p[1] = j; }
+  }
+  for (const [i, j] of pairs) {
+    if (j < 0) out.push({ field: "items[" + i + "]", change: "removed", old: diffPlain(A[i]), new: null });
+    else diffScalars("items[" + j + "].", A[i], B[j], out);
+  }
+  B.forEach((it, j) => { if (!usedB.has(j)) out.push({ field: "items[" + j + "]", change: "added", old: null, new: diffPlain(it) }); });
+}
+
+function diffFields(a, b) {
+  const out = [];
+  diffScalars("", a, b, out);
+  diffScalars("extras.", a?.extras, b?.extras, out);
+  diffItems(a?.items, b?.items, out);
+  return out;
+}
+
+/**
+ * Data for one side of a draft diff: "parse" (regex seed), "llm" (model refinement),
+ * "v<n>" (draft version) or "shipment" (frozen record). Null when not available.
+ */
+function diffSource(baseHash, key) {
+  if (key === "parse" || key === "llm") {
+    const c = db.prepare("SELECT parsed, llm_json FROM cache WHERE hash = ?").get(baseHash);
+    const raw = c && (key === "parse" ? c.parsed : c.llm_json);
+    return raw ? JSON.parse(raw) : null;
+  }
+  if (key === "shipment") {
+    const row = db.prepare(`
+      SELECT s.id FROM shipments s JOIN drafts d ON d.id = s.draft_id
+      WHERE d.base_hash = ? ORDER BY datetime(s.created_at) DESC LIMIT 1
+    `).get(baseHash);
+    if (!row) return null;
+    const s = loadShipment(row.id);
+    for (const k of Object.keys(SHIPMENT_EXTRAS)) delete s[k];
+    return s;
+  }
+  const m = /^v?(\d+)$/.exec(String(key || ""));
+  if (!m) return null;
+  const d = db.prepare("SELECT data_json FROM drafts WHERE base_hash = ? AND version_no = ?").get(baseHash, parseInt(m[1], 10));
+  return d ? JSON.parse(d.data_json || "{}") : null;
+}
+
+// ---------- Jobs ----------
+/*
+ * Uploads run as jobs through a small worker pool. Every state change is written to
+ * the jobs table (for polling) and pushed to the SSE subscribers of that job.
+ */
+const JOB_CONCURRENCY = Math.max(1, parseInt(process.env.JOB_CONCURRENCY || "2", 10));
+const JOB_QUEUE_MAX = Math.max(1, parseInt(process.env.JOB_QUEUE_MAX || "200", 10));
+const jobQueue = [];
+const jobSubscribers = new Map();   // job id → Set of SSE responses
+let jobsRunning = 0;
+
+function publicJob(j) {
+  return {
+    id: j.id, status: j.status, stage: j.stage, progress: JSON.parse(j.progress_json || "{}"),
+    file_name: j.file_name, doc_hash: j.doc_hash, author: j.author, batch_id: j.batch_id || undefined,
+    error: j.error || undefined, result: j.result_json ? JSON.parse(j.result_json) : undefined,
+    created_at: j.created_at, updated_at: j.updated_at
+  };
+}
+const jobEvent = job => `event: ${job.status === "done" || job.status === "failed" ? job.status : "progress"}\ndata: ${JSON.stringify(job)}\n\n`;
+
+function updateJob(id, { status, progress, result, error, error_status }) {
+  const sets = ["updated_at = ?"], args = [new Date().toISOString()];
+  if (status) { sets.push("status = ?"); args.push(status); }
+  if (progress) { sets.push("stage = ?", "progress_json = ?"); args.push(progress.stage, JSON.stringify(progress)); }
+  if (result !== undefined) { sets.push("result_json = ?"); args.push(JSON.stringify(result)); }
+  if (error !== undefined) { sets.push("error = ?", "error_status = ?"); args.push(error, error_status || 500); }
+  db.prepare(`UPDATE jobs SET ${sets.join(", ")} WHERE id = ?`).run(...args, id);
+
+  const job = publicJob(db.prepare("SELECT * FROM jobs WHERE id = ?").get(id));
+  const finished = job.status === "done" || job.status === "failed";
+  for (const res of jobSubscribers.get(id) || []) {
+    res.write(jobEvent(job));
+    if (finished) res.end();
+  }
+  if (finished) jobSubscribers.delete(id);
+  return job;
+}
+
+/** Throws a 503 error when `n` more jobs would not fit in the queue. */
+function assertQueueRoom(n = 1) {
+  if (jobQueue.length + n > JOB_QUEUE_MAX) {
+    throw Object.assign(new Error("Extraction queue is full (" + jobQueue.length + " waiting), try again later"), { status: 503 });
+  }
+}
+
+/** Queue `run(progress)`; `finished` resolves with the job once it is done or failed. */
+function enqueueJob({ fileName, docHash, author, batchId }, run) {
+  assertQueueRoom();
+  const id = nanoid();
+  const now = new Date().toISOString();
+  db.prepare(`INSERT INTO jobs (id, status, stage, progress_json, file_name, doc_hash, author, created_at, updated_at, batch_id)
+              VALUES (?, 'queued', 'queued', ?, ?, ?, ?, ?, ?, ?)`)
+    .run(id, JSON.stringify({ stage: "queued" }), fileName || "", docHash || null, author || "", now, now, batchId || null);
+  const finished = new Promise(resolve => jobQueue.push({ id, run, resolve }));
+  pumpJobs();
+  return { id, finished };
+}
+
+function pumpJobs() {
+  while (jobsRunning < JOB_CONCURRENCY && jobQueue.length) {
+    const { id, run, resolve } = jobQueue.shift();
+    jobsRunning++;
+    Promise.resolve()
+      .then(() => updateJob(id, { status: "running", progress: { stage: "start" } }))
+      .then(() => run(p => updateJob(id, { progress: p })))
+      .then(result => updateJob(id, { status: "done", progress: { stage: "done" }, result }))
+      .catch(e => {
+        if (!e.status) console.error("Job " + id + " failed:", e);
+        return updateJob(id, { status: "failed", error: e.message || "unknown", error_status: e.status });
+      })
+      // even when the failure itself cannot be recorded, waiting requests get an answer
+      .catch(e => {
+        console.error("Job " + id + " state not recorded:", e);
+        return { id, status: "failed", error: e.message || "unknown" };
+      })
+      .then(resolve)
+      .finally(() => { jobsRunning--; pumpJobs(); });
+  }
+}
+
+// ---------- Ingest ----------
+/*
+ * Unattended intake, polled every INGEST_INTERVAL_SEC: a drop folder (PDF, ZIP or .eml
+ * files), a Maildir, an mbox spool and, when imapflow is installed, an IMAP mailbox.
+ * PDFs found there or attached to messages run through the same job pipeline as
+ * /api/upload. Each source item then goes to the archive, or to the error folder next
+ * to a "<name>.error.txt" with the reason (IMAP: archive/error mailboxes, mbox: archive.mbox/error.mbox).
+ */
+const INGEST = {
+  dir: process.env.INGEST_DIR || "",
+  maildir: process.env.INGEST_MAILDIR || "",
+  mbox: process.env.INGEST_MBOX || "",
+  imap: process.env.IMAP_HOST ? {
+    host: process.env.IMAP_HOST,
+    port: parseInt(process.env.IMAP_PORT || (process.env.IMAP_SECURE === "0" ? "143" : "993"), 10),
+    secure: process.env.IMAP_SECURE !== "0",
+    auth: { user: process.env.IMAP_USER || "", pass: process.env.IMAP_PASS || "" },
+    mailbox: process.env.IMAP_MAILBOX || "INBOX",
+    archive: process.env.IMAP_ARCHIVE_MAILBOX || "Archive",
+    error: process.env.IMAP_ERROR_MAILBOX || "Error"
+  } : null,
+  intervalSec: Math.max(5, parseInt(process.env.INGEST_INTERVAL_SEC || "60", 10))
+};
+let ImapFlow = null;
+if (INGEST.imap) {
+  try { ({ ImapFlow } = require("imapflow")); }
+  catch (e) { console.warn("IMAP ingestion needs imapflow. Run: npm i imapflow"); }
+}
+const ingestState = { running: false, last_run: null, last_error: null };
+
+const ingestDirs = base => ({
+  archive: process.env.INGEST_ARCHIVE_DIR || path.join(base, "archive"),
+  error: process.env.INGEST_ERROR_DIR || path.join(base, "error")
+});
+// what the audit trail and draft authorship see for unattended uploads
+const ingestReq = kind => ({ method: "INGEST", originalUrl: kind, user: { username: "ingest", roles: ["uploader"] } });
+
+// Move a processed file out of the spool, never overwriting an earlier one of the same name
+function moveIngested(file, dir, reason) {
+  fs.mkdirSync(dir, { recursive: true });
+  let target = path.join(dir, path.basename(file));
+  if (fs.existsSync(target)) target = path.join(dir, Date.now() + "-" + path.basename(file));
+  try { fs.renameSync(file, target); }
+  catch (e) { if (e.code !== "EXDEV") throw e; fs.copyFileSync(file, target); fs.unlinkSync(file); }
+  if (reason) fs.writeFileSync(target + ".error.txt", reason + "\n");
+}
+
+/**
+ * Run the PDFs in `files` (ZIPs are unpacked) through the extraction jobs and record
+ * each one against its source message. Resolves { ok, error } once every job finished.
+ */
+async function ingestFiles(kind, files, msg = {}) {
+  const { pdfs, skipped } = batchFiles(files);
+  const row = db.prepare(`INSERT INTO ingested (id, kind, ref, message_id, sender, subject, received_at, file_name, doc_hash, job_id, status, error, created_at)
+                          VALUES (@id, @kind, @ref, @message_id, @sender, @subject, @received_at, @file_name, @doc_hash, @job_id, @status, @error, @created_at)`);
+  const base = {
+    kind, ref: msg.ref || "", message_id: msg.message_id || null, sender: msg.sender || null,
+    subject: msg.subject || null, received_at: msg.received_at || null, created_at: new Date().toISOString()
+  };
+  if (!pdfs.length) {
+    const error = "No PDF attachment" + (skipped.length ? " (" + skipped.map(s => s.file_name).join(", ") + ")" : "");
+    row.run({ ...base, id: nanoid(), file_name: null, doc_hash: null, job_id: null, status: "failed", error });
+    return { ok: false, error };
+  }
+  assertQueueRoom(pdfs.length);  // a full queue leaves the item in place for the next poll
+  const req = ingestReq(kind);
+  const jobs = pdfs.map(f => {
+    const job = queueDocument(req, f);
+    const id = nanoid();
+    row.run({ ...base, id, file_name: f.source, doc_hash: db.prepare("SELECT doc_hash FROM jobs WHERE id = ?").get(job.id).doc_hash,
+              job_id: job.id, status: "queued", error: null });
+    return job.finished.then(done => {
+      db.prepare("UPDATE ingested SET status = ?, error = ?, draft_id = ? WHERE id = ?")
+        .run(done.status, done.error || null, done.result?.draft_id || null, id);
+      return done.status === "done" ? null : f.source + ": " + done.error;
+    });
+  });
+  const errors = (await Promise.all(jobs)).filter(Boolean);
+  return { ok: !errors.length, error: errors.join("\n") };
+}
+
+async function ingestMessage(kind, ref, raw) {
+  const m = await simpleParser(raw);
+  // a message seen again (IMAP filing failed, restart before the mbox was cut) keeps its first outcome
+  const prior = m.messageId ? db.prepare("SELECT file_name, status, error FROM ingested WHERE message_id = ?").all(m.messageId) : [];
+  if (prior.length) {
+    const errors = prior.filter(r => r.status !== "done").map(r => (r.file_name ? r.file_name + ": " : "") + (r.error || r.status));
+    return { ok: !errors.length, error: errors.join("\n") };
+  }
+  const files = (m.attachments || [])
+    .filter(a => /pdf|zip/i.test(a.contentType || "") || /\.(pdf|zip)$/i.test(a.filename || ""))
+    .map(a => ({ originalname: a.filename || (/zip/i.test(a.contentType) ? "attachment.zip" : "attachment.pdf"), buffer: a.content, size: a.size }));
+  return ingestFiles(kind, files, {
+    ref, message_id: m.messageId || null, sender: m.from?.text || null, subject: m.subject || null,
+    received_at: (m.date || new Date()).toISOString()
+  });
+}
+
+/*
+ * One spool item: whatever it throws (unreadable message, broken PDF…) becomes its error,
+ * so it goes to the error folder instead of being retried on every poll. Only a full job
+ * queue (503) stops the scan and leaves the remaining items for the next one.
+ */
+async function ingestItem(ref, run) {
+  try { return await run(); }
+  catch (e) {
+    if (e.status === 503) throw e;
+    console.error("Ingest of " + ref + " failed:", e);
+    return { ok: false, error: e.message || String(e) };
+  }
+}
+
+// Drop folder: leave files alone while they are still being written
+async function scanDropFolder() {
+  const dirs = ingestDirs(INGEST.dir);
+  for (const name of fs.readdirSync(INGEST.dir).sort()) {
+    const file = path.join(INGEST.dir, name);
+    const st = fs.statSync(file);
+    if (!st.isFile() || name.startsWith(".") || /\.(part|tmp|crdownload)$/i.test(name) || Date.now() - st.mtimeMs < 2000) continue;
+    const out = await ingestItem(name, () => {
+      const buffer = fs.readFileSync(file);
+      return /\.eml$/i.test(name)
+        ? ingestMessage("folder", name, buffer)
+        : ingestFiles("folder", [{ originalname: name, buffer, size: st.size }], { ref: name, received_at: st.mtime.toISOString() });
+    });
+    moveIngested(file, out.ok ? dirs.archive : dirs.error, out.ok ? null : out.error);
+  }
+}
+
+async function scanMaildir() {
+  const dirs = ingestDirs(INGEST.maildir);
+  for (const sub of ["new", "cur"]) {
+    const dir = path.join(INGEST.maildir, sub);
+    if (!fs.existsSync(dir)) continue;
+    for (const name of fs.readdirSync(dir).sort()) {
+      const file = path.join(dir, name);
+      if (!fs.statSync(file).isFile()) continue;
+      const out = await ingestItem(sub + "/" + name, () => ingestMessage("maildir", sub + "/" + name, fs.readFileSync(file)));
+      moveIngested(file, out.ok ? dirs.archive : dirs.error, out.ok ? null : out.error);
+    }
+  }
+}
 
-  // Merge: keep seed defaults, prefer LLM non-empty values
-  const { evidence = [], ...llmFields } = out || {};
-  const final = { ...seedFields };
-  for (const [k, v] of Object.entries(llmFields)) {
-    if (k === "items") {
-      if (Array.isArray(v) && v.length) final.items = v;
+/**
+ * Hold the mbox dotlock (<mbox>.lock, created exclusively as delivery agents do) while
+ * `fn` runs. Waits up to 30s for another holder; a lock older than 5 minutes is stale.
+ */
+async function withDotlock(file, fn) {
+  const lock = file + ".lock";
+  for (let i = 0; ; i++) {
+    try { fs.writeFileSync(lock, String(process.pid), { flag: "wx" }); break; }
+    catch (e) {
+      if (e.code !== "EEXIST") throw e;
+      try { if (Date.now() - fs.statSync(lock).mtimeMs > 5 * 60 * 1000) { fs.rmSync(lock, { force: true }); continue; } }
+      catch { continue; }  // released meanwhile
+      if (i >= 30) throw new Error(lock + " is held by another process");
+      await new Promise(r => setTimeout(r, 1000));
+    }
+  }
+  try { return fn(); }
+  finally { fs.rmSync(lock, { force: true }); }
+}
+
+// mbox: messages are appended to archive.mbox / error.mbox, then cut from the spool
+async function scanMbox() {
+  if (!fs.existsSync(INGEST.mbox)) return;
+  const dirs = ingestDirs(path.dirname(INGEST.mbox));
+  // the lock is only held to read and to rewrite, never while the jobs run
+  const content = await withDotlock(INGEST.mbox, () => fs.readFileSync(INGEST.mbox));
+  if (!content.length) return;
+  let consumed = 0, n = 0;
+  try {
+    for (const m of content.toString("latin1").split(/^(?=From )/m)) {
+      if (m.trim()) {
+        const nl = m.indexOf("\n");
+        const envelope = m.slice(0, nl + 1), body = Buffer.from(m.slice(nl + 1), "latin1");
+        const ref = path.basename(INGEST.mbox) + "#" + (++n);
+        const out = await ingestItem(ref, () => ingestMessage("mbox", ref, body));
+        const dir = out.ok ? dirs.archive : dirs.error;
+        fs.mkdirSync(dir, { recursive: true });
+        const header = out.ok ? "" : "X-Ingest-Error: " + out.error.replace(/\s*\n\s*/g, "; ") + "\n";
+        fs.appendFileSync(path.join(dir, out.ok ? "archive.mbox" : "error.mbox"), Buffer.concat([Buffer.from(envelope + header, "latin1"), body]));
+      }
+      consumed += m.length;  // latin1: one character per byte
+    }
+  } finally {
+    // cut what was handled, keeping whatever was delivered while we were busy
+    await withDotlock(INGEST.mbox, () => {
+      const now = fs.readFileSync(INGEST.mbox);
+      fs.writeFileSync(INGEST.mbox, now.slice(consumed));
+    });
+  }
+}
+
+async function withImap(fn) {
+  const cfg = INGEST.imap;
+  const client = new ImapFlow({ host: cfg.host, port: cfg.port, secure: cfg.secure, auth: cfg.auth, logger: false });
+  await client.connect();
+  try { return await fn(client); }
+  finally { await client.logout().catch(() => {}); }
+}
+
+// IMAP: fetch the unseen messages and disconnect, run the jobs, then reconnect to file them
+// (a message left unseen by a failed reconnect is filed on the next poll, not ingested twice)
+async function scanImap() {
+  if (!ImapFlow) return;
+  const cfg = INGEST.imap;
+  const pending = await withImap(async client => {
+    const lock = await client.getMailboxLock(cfg.mailbox);
+    try {
+      const found = [];
+      for await (const msg of client.fetch({ seen: false }, { uid: true, source: true })) found.push({ uid: msg.uid, source: msg.source });
+      return found;
+    } finally { lock.release(); }
+  });
+  if (!pending.length) return;
+
+  const handled = [];
+  let stopped = null;
+  for (const { uid, source } of pending) {
+    try { handled.push({ uid, out: await ingestItem(cfg.mailbox + ":" + uid, () => ingestMessage("imap", cfg.mailbox + ":" + uid, source)) }); }
+    catch (e) { stopped = e; break; }  // queue full: the rest stays unseen for the next poll
+  }
+
+  await withImap(async client => {
+    for (const box of [cfg.archive, cfg.error]) { try { await client.mailboxCreate(box); } catch { /* exists */ } }
+    const lock = await client.getMailboxLock(cfg.mailbox);
+    try {
+      for (const { uid, out } of handled) {
+        await client.messageMove(String(uid), out.ok ? cfg.archive : cfg.error, { uid: true });
+        if (!out.ok) console.warn("IMAP message " + uid + " moved to " + cfg.error + ": " + out.error);
+      }
+    } finally { lock.release(); }
+  });
+  if (stopped) throw stopped;
+}
+
+async function ingestOnce() {
+  if (ingestState.running) return { ok: false, busy: true };
+  ingestState.running = true;
+  const errors = [];
+  try {
+    const scans = [[INGEST.dir, scanDropFolder], [INGEST.maildir, scanMaildir], [INGEST.mbox, scanMbox], [INGEST.imap, scanImap]];
+    for (const [configured, scan] of scans) {
+      if (!configured) continue;
+      try { await scan(); }
+      catch (e) { console.error("Ingest " + scan.name + " failed:", e); errors.push(scan.name + ": " + e.message); }
+    }
+  } finally {
+    ingestState.running = false;
+    ingestState.last_run = new Date().toISOString();
+    ingestState.last_error = errors.join("; ") || null;
+  }
+  return { ok: !errors.length, errors };
+}
+
+function startIngest() {
+  if (!INGEST.dir && !INGEST.maildir && !INGEST.mbox && !INGEST.imap) return;
+  if (INGEST.dir) fs.mkdirSync(INGEST.dir, { recursive: true });
+  console.log("Ingesting every " + INGEST.intervalSec + "s from: " +
+    [INGEST.dir, INGEST.maildir, INGEST.mbox, INGEST.imap && INGEST.imap.host].filter(Boolean).join(", "));
+  ingestOnce();
+  setInterval(ingestOnce, INGEST.intervalSec * 1000).unref();
+}
+
+// ---------- Re-parse ----------
+const REPARSE_ACTOR = "reparse";
+const reparseReq = () => ({ method: "REPARSE", originalUrl: "parser " + PARSER_VERSION, user: { username: REPARSE_ACTOR, roles: [] } });
+
+/**
+ * Run the current parser over every cached text (no OCR, no model call; a cached model
+ * answer is merged in again). Reports the fields whose parse changed, per document.
+ * Drafts nobody edited yet (only v1, or versions written by an earlier re-parse) get a new
+ * version with the new result; edited and frozen drafts are reported and left alone.
+ * `draft` in the report: updated | unchanged | kept_edited | kept_frozen | none.
+ * `dryRun` changes nothing.
+ */
+function reparseCached({ dryRun = false } = {}) {
+  const rows = db.prepare("SELECT * FROM cache WHERE COALESCE(text, '') != '' ORDER BY created_at").all();
+  const report = { parser_version: PARSER_VERSION, dry_run: dryRun, scanned: rows.length, unchanged: 0, changed: [] };
+  const layouts = new Map();
+  for (const row of rows) {
+    const docHash = row.doc_hash || row.hash.split(":")[0];
+    if (!layouts.has(docHash)) layouts.set(docHash, storedLayout(docHash));
+    const layout = layouts.get(docHash);
+    const nums = row.pages ? pageNumbers(row.pages) : null;
+    const pages = layout ? layout.pages.filter(p => !nums || nums.includes(p.page)) : [];
+    const tpl = TEMPLATES.get(row.template) || detectTemplate(clean(row.text)).template;
+    const seed = normalizeFields(parseFieldsFromText(row.text, tpl, pages));
+    const changes = diffFields(row.parsed ? JSON.parse(row.parsed) : {}, seed);
+
+    if (!changes.length) {
+      report.unchanged++;
+      if (!dryRun) db.prepare("UPDATE cache SET parser_version = ? WHERE hash = ?").run(PARSER_VERSION, row.hash);
       continue;
     }
-    if (v === null) continue;
-    if (typeof v === "string") {
-      if (v.trim()) final[k] = v;
-    } else {
-      final[k] = v;
+    const latest = latestDraft(row.hash);
+    const edited = latest && db.prepare("SELECT COUNT(*) AS n FROM drafts WHERE base_hash = ? AND version_no > 1 AND COALESCE(author, '') != ?")
+      .get(row.hash, REPARSE_ACTOR).n > 0;
+    const draft = !latest ? "none" : latest.status !== "draft" ? "kept_frozen" : edited ? "kept_edited" : "updated";
+    const doc = db.prepare("SELECT file_name FROM documents WHERE hash = ?").get(docHash);
+    const entry = { key: row.hash, doc_hash: docHash, file_name: doc ? doc.file_name : null, draft_id: latest ? latest.id : null, draft, changes };
+    report.changed.push(entry);
+    if (dryRun) continue;
+
+    db.prepare("UPDATE cache SET parsed = ?, parser_version = ?, template = ? WHERE hash = ?")
+      .run(JSON.stringify(seed), PARSER_VERSION, tpl.id, row.hash);
+    if (draft !== "updated") continue;
+    const current = JSON.parse(latest.data_json || "{}");
+    const { fields: reconciled, evidence } = cachedModelFields(row, seed);
+    const ocrPages = layout && layout.source === "ocr" ? pages : null;
+    const fields = finishFields(reconciled, {
+      evidence,
+      template: current.template && current.template.id === tpl.id ? current.template : templateInfo(tpl, null),
+      text: row.text,
+      ocrPages
+    });
+    const draftChanges = diffFields(current, fields);
+    if (!draftChanges.length) { entry.draft = "unchanged"; continue; }
+    const newId = nanoid();
+    const now = new Date().toISOString();
+    db.transaction(() => {
+      db.prepare("UPDATE drafts SET status = 'superseded', updated_at = ? WHERE id = ?").run(now, latest.id);
+      db.prepare(`INSERT INTO drafts (id, base_hash, version_no, status, data_json, created_at, updated_at, author, doc_hash, doc_pages)
+                  VALUES (?, ?, ?, 'draft', ?, ?, ?, ?, ?, ?)`)
+        .run(newId, latest.base_hash, latest.version_no + 1, JSON.stringify(fields), now, now, REPARSE_ACTOR, latest.doc_hash, latest.doc_pages);
+    })();
+    audit(reparseReq(), "reparse", "draft", newId, {
+      doc_hash: row.hash,
+      detail: { parser_version: PARSER_VERSION, from_version: latest.version_no },
+      changes: draftChanges
+    });
+    entry.draft_id = newId;
+  }
+  return report;
+}
+
+// ---------- Golden corpus ----------
+/*
+ * Regression corpus for the parser, one fixture per shipment in GOLDEN_DIR:
+ *   <name>.expected.json   { template?, fields: { <field>: value }, items: [{ product_name, net_kg, … }] }
+ *   <name>.txt             extracted text (+ optional <name>.layout.json: pages as stored for review)
+ *   <name>.pdf             used when there is no .txt; extracted with the local tools, never a model
+ * Only the fields a fixture lists are scored; list one as null to require that nothing is
+ * parsed for it. Frozen shipments export as fixtures listing every field (their data is the
+ * human-checked truth). An empty or missing corpus fails the `golden` command, which runs on
+ * an in-memory DB so that neither the parse nor replayed model calls touch SQLITE_DB_PATH.
+ */
+const GOLDEN_DIR = process.env.GOLDEN_DIR || path.join(__dirname, "golden");
+const GOLDEN_FIELDS = [
+  "your_partner", "shipper_phone", "shipper_email", "shipment_no", "order_no", "delivery_no", "loading_date",
+  "scheduled_delivery_date", "po_no", "order_label", "shipping_street", "shipping_postal", "shipping_city",
+  "shipping_country", "way_of_forwarding", "delivery_terms", "incoterm", "incoterm_place", "carrier_to", "consignee_address",
+  "customer_no", "vat_no", "customer_po", "customer_contact", "customer_phone", "customer_email", "notify1_address",
+  "notify1_email", "notify1_phone", "notify2_address", "notify2_email", "notify2_phone", "total_net_kg",
+  "total_gross_kg", "total_pkgs", "bl_remarks", "hs_code"
+];
+const GOLDEN_ITEM_FIELDS = ["product_name", "net_kg", "gross_kg", "pkgs", "packaging", "pallets"];
+
+// Values compare case- and whitespace-insensitively
+const goldenVal = v => (v === null || v === undefined) ? "" : String(v).replace(/\s+/g, " ").trim().toLowerCase();
+const pick = (obj, keys) => Object.fromEntries(keys.filter(k => obj[k] !== null && obj[k] !== undefined && obj[k] !== "").map(k => [k, obj[k]]));
+
+/** Parse one fixture's document: stored text (+ layout) when present, else the PDF. Resolves { text, fields }. */
+async function goldenParse(dir, name, expected) {
+  const base = path.join(dir, name);
+  let text, pages = [];
+  if (fs.existsSync(base + ".txt")) {
+    text = fs.readFileSync(base + ".txt", "utf8");
+    if (fs.existsSync(base + ".layout.json")) {
+      pages = JSON.parse(fs.readFileSync(base + ".layout.json", "utf8")).pages || [];
+      for (const p of pages) p.words = p.blocks.flatMap(b => b.lines.flatMap(l => l.words));
+    }
+  } else if (fs.existsSync(base + ".pdf")) {
+    const doc = await extractDocument(fs.readFileSync(base + ".pdf"));
+    text = doc.text;
+    pages = doc.pages.some(p => p.words.length) ? doc.pages : doc.ocrPages;
+  } else {
+    throw new Error("no .txt or .pdf next to the expected JSON");
+  }
+  const tpl = TEMPLATES.get(expected.template) || detectTemplate(clean(text)).template;
+  return { text, fields: normalizeFields(parseFieldsFromText(text, tpl, pages)) };
+}
+
+/**
+ * Run the corpus: per-field precision/recall (a wrong value counts against both) and
+ * item match rates (items pair by product name, else position; "exact" when every
+ * expected item field matches). `mismatches` lists what differed per fixture.
+ * With `refine` the parse goes through the configured model and reconciliation first, as
+ * an upload does; each fixture then reports what reconciliation rejected.
+ */
+async function runGolden(dir = GOLDEN_DIR, { refine = false } = {}) {
+  const names = fs.existsSync(dir)
+    ? fs.readdirSync(dir).filter(f => f.endsWith(".expected.json")).map(f => f.slice(0, -".expected.json".length)).sort()
+    : [];
+  const fields = Object.fromEntries(GOLDEN_FIELDS.map(k => [k, { tp: 0, fp: 0, fn: 0 }]));
+  const items = { expected: 0, parsed: 0, matched: 0, exact: 0 };
+  const fixtures = [];
+  for (const name of names) {
+    const expected = JSON.parse(fs.readFileSync(path.join(dir, name + ".expected.json"), "utf8"));
+    let got, model = null;
+    try {
+      const parsed = await goldenParse(dir, name, expected);
+      got = parsed.fields;
+      if (refine) {
+        const refined = await llmExtract({ textBest: parsed.text, alternates: {}, seedFields: got, ref: { key: "golden:" + name } });
+        const rec = refined.fields.reconciliation;
+        got = normalizeFields(refined.fields);
+        model = { unsupported: rec.unsupported, disagreements: rec.disagreements,
+                  evidence: refined.evidence.length, verified: refined.evidence.filter(e => e.verified).length };
+      }
+    }
+    catch (e) { fixtures.push({ name, error: e.message }); continue; }
+
+    const mismatches = [];
+    for (const k of GOLDEN_FIELDS.filter(k => Object.hasOwn(expected.fields || {}, k))) {
+      const want = goldenVal(expected.fields[k]), have = goldenVal(got[k]);
+      if (want && have === want) { fields[k].tp++; continue; }
+      if (have) fields[k].fp++;
+      if (want) fields[k].fn++;
+      if (want || have) mismatches.push({ field: k, expected: expected.fields[k] ?? null, parsed: got[k] ?? null });
+    }
+
+    const want = Array.isArray(expected.items) ? expected.items : [], have = Array.isArray(got.items) ? [...got.items] : [];
+    items.expected += want.length;
+    items.parsed += have.length;
+    want.forEach((it, i) => {
+      const byName = have.findIndex(h => h && goldenVal(h.product_name) === goldenVal(it.product_name));
+      const j = byName >= 0 ? byName : (have[i] ? i : -1);
+      const h = j >= 0 ? have[j] : null;
+      if (!h) { mismatches.push({ field: "items." + i, expected: it, parsed: null }); return; }
+      have[j] = null;
+      items.matched++;
+      const diff = GOLDEN_ITEM_FIELDS.filter(k => goldenVal(it[k]) && goldenVal(it[k]) !== goldenVal(h[k]));
+      if (!diff.length) items.exact++;
+      diff.forEach(k => mismatches.push({ field: "items." + i + "." + k, expected: it[k], parsed: h[k] ?? null }));
+    });
+    fixtures.push({ name, mismatches, ...(model ? { llm: model } : {}) });
+  }
+
+  const ratio = (a, b) => b ? Math.round(1000 * a / b) / 1000 : null;
+  return {
+    dir, parser_version: PARSER_VERSION, llm: refine ? llm.name + ":" + llm.model : null,
+    fixtures: names.length, failed: fixtures.filter(f => f.error).length,
+    fields: Object.fromEntries(Object.entries(fields).map(([k, c]) => [k, { ...c, precision: ratio(c.tp, c.tp + c.fp), recall: ratio(c.tp, c.tp + c.fn) }])),
+    items: { ...items, match_rate: ratio(items.matched, items.expected), exact_rate: ratio(items.exact, items.expected) },
+    results: fixtures
+  };
+}
+
+function printGolden(report, verbose) {
+  const pct = v => v === null ? "   –" : String(Math.round(v * 100)).padStart(3) + "%";
+  console.log("Golden corpus " + report.dir + ": " + report.fixtures + " fixture(s), parser " + report.parser_version
+    + (report.llm ? ", refined by " + report.llm : "") + (report.failed ? ", " + report.failed + " failed" : ""));
+  console.log("field".padEnd(26) + "prec  recall   tp  fp  fn");
+  for (const [k, c] of Object.entries(report.fields)) {
+    if (!c.tp && !c.fp && !c.fn) continue;
+    console.log(k.padEnd(26) + pct(c.precision) + "  " + pct(c.recall) + "  " + [c.tp, c.fp, c.fn].map(n => String(n).padStart(3)).join(" "));
+  }
+  const it = report.items;
+  console.log("items: " + it.matched + "/" + it.expected + " matched (" + pct(it.match_rate).trim() + "), "
+    + it.exact + " exact (" + pct(it.exact_rate).trim() + "), " + it.parsed + " parsed");
+  for (const f of report.results) {
+    if (f.error) console.log("  ! " + f.name + ": " + f.error);
+    else if (verbose && (f.mismatches.length || f.llm)) {
+      console.log("  " + f.name + ":");
+      if (f.llm) {
+        console.log("    model: " + f.llm.verified + "/" + f.llm.evidence + " evidence verified, "
+          + f.llm.unsupported.length + " unsupported, " + f.llm.disagreements.length + " disagreement(s)");
+        f.llm.unsupported.forEach(u => console.log("    unsupported " + u.field + ": " + JSON.stringify(u.value)));
+      }
+      f.mismatches.forEach(m => console.log("    " + m.field + ": expected " + JSON.stringify(m.expected) + ", parsed " + JSON.stringify(m.parsed)));
+    }
+  }
+}
+
+/**
+ * Fixture files for a frozen shipment: the frozen data as expected JSON, with the text
+ * (and word layout) it was extracted from, and the original PDF unless it held several
+ * shipments. Null when the shipment is unknown or nothing of its source is stored.
+ */
+function goldenFixture(shipmentId) {
+  const s = loadShipment(shipmentId);
+  const d = s && s.draft_id ? db.prepare("SELECT * FROM drafts WHERE id = ?").get(s.draft_id) : null;
+  if (!d) return null;
+  const cached = db.prepare("SELECT text, template FROM cache WHERE hash = ?").get(d.base_hash);
+  const docHash = d.doc_hash || d.base_hash;
+  const original = d.doc_pages ? null : db.prepare("SELECT pdf FROM documents WHERE hash = ?").get(docHash);
+  if (!(cached && cached.text) && !original) return null;
+
+  const name = String(s.shipment_no || "shipment").replace(/[^A-Za-z0-9_-]+/g, "_") + "-" + s.id.slice(0, 6);
+  const files = {};
+  files[name + ".expected.json"] = JSON.stringify({
+    source: { shipment_id: s.id, frozen_at: s.created_at, doc_hash: docHash, pages: d.doc_pages || null },
+    template: (cached && cached.template) || undefined,
+    fields: Object.fromEntries(GOLDEN_FIELDS.map(k => [k, s[k] === "" || s[k] === undefined ? null : s[k]])),
+    items: s.items.map(it => pick(it, GOLDEN_ITEM_FIELDS))
+  }, null, 2) + "\n";
+  if (cached && cached.text) {
+    files[name + ".txt"] = cached.text;
+    const layout = storedLayout(docHash);
+    if (layout) {
+      const nums = d.doc_pages ? pageNumbers(d.doc_pages) : null;
+      files[name + ".layout.json"] = JSON.stringify({
+        source: layout.source,
+        pages: layout.pages.filter(p => !nums || nums.includes(p.page)).map(({ words, ...p }) => p)
+      });
     }
   }
-  return { ...final, evidence: Array.isArray(evidence) ? evidence : [] };
+  if (original) files[name + ".pdf"] = original.pdf;
+  return { name, files };
+}
+
+// Write fixtures for frozen shipments (all, or the given ids) into `dir`; existing ones are kept
+function exportGolden(dir = GOLDEN_DIR, ids = []) {
+  fs.mkdirSync(dir, { recursive: true });
+  const rows = ids.length ? ids.map(id => ({ id })) : db.prepare("SELECT id FROM shipments ORDER BY datetime(created_at)").all();
+  const out = { written: [], skipped: [] };
+  for (const { id } of rows) {
+    const fx = goldenFixture(id);
+    if (!fx) { out.skipped.push({ id, reason: "unknown shipment or no stored source" }); continue; }
+    if (fs.existsSync(path.join(dir, fx.name + ".expected.json"))) { out.skipped.push({ id, reason: "exists: " + fx.name }); continue; }
+    for (const [f, content] of Object.entries(fx.files)) fs.writeFileSync(path.join(dir, f), content);
+    out.written.push(fx.name);
+  }
+  return out;
 }
 
 // ---------- UI ----------
+app.get("/login", (_req, res) => {
+  res.type("html").send(`<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8"/>
+<meta name="viewport" content="width=device-width,initial-scale=1"/>
+<title>Sign in · Shipping Instruction</title>
+<style>
+  *{box-sizing:border-box;font-family:system-ui,Segoe UI,Inter,Roboto,Arial}
+  body{margin:0;background:#F8FAFC;color:#0f172a}
+  .card{max-width:360px;margin:80px auto;background:#fff;border:1px solid #E5E7EB;border-radius:10px;padding:20px}
+  h1{font-size:20px;margin:0 0 12px}
+  label{display:block;font-size:12px;color:#374151;margin:10px 0 4px}
+  input{width:100%;padding:10px;border-radius:8px;border:1px solid #E5E7EB}
+  .btn{margin-top:14px;width:100%;background:#2563EB;color:#fff;border:none;border-radius:8px;padding:10px;cursor:pointer}
+  .err{color:#b91c1c;font-size:13px;margin-top:8px}
+</style>
+</head>
+<body>
+<form class="card" id="f">
+  <h1>Sign in</h1>
+  <label>Username</label><input id="u" autocomplete="username" autofocus/>
+  <label>Password</label><input id="p" type="password" autocomplete="current-password"/>
+  <button class="btn" type="submit">Sign in</button>
+  <div class="err" id="e"></div>
+</form>
+<script>
+document.getElementById("f").addEventListener("submit", async function(ev){
+  ev.preventDefault();
+  var r = await fetch("/api/login", { method:"POST", headers:{ "Content-Type":"application/json" },
+    body: JSON.stringify({ username: document.getElementById("u").value, password: document.getElementById("p").value }) });
+  if (r.ok) { location.href = "/"; return; }
+  document.getElementById("e").textContent = ((await r.json()).error) || "Sign-in failed";
+});
+</script>
+</body></html>`);
+});
+
 app.get("/", (_req, res) => {
   res.type("html").send(`<!doctype html>
 <html lang="en">
@@ -761,6 +3515,24 @@ app.get("/", (_req, res) => {
   .status{margin-top:8px;font-size:13px}
   .status.ok{color:var(--ok)}
   .status.err{color:var(--danger)}
+  .lowconf{border-color:#f59e0b;background:#fffbeb}
+  .merged{border-color:#93c5fd;background:#eff6ff}
+  .modelfill{border-left:3px solid #a78bfa}
+  .invalid{border-color:var(--danger)}
+  .party{display:flex;gap:8px;align-items:center;flex-wrap:wrap;margin-bottom:6px}
+  .party .partySearch{flex:1;min-width:220px}
+  .issue{font-size:12px;margin-top:2px}
+  .issue.error{color:var(--danger)}
+  .issue.warning{color:#b45309}
+  .issue.info{color:var(--muted)}
+  body.reviewing .container{max-width:none;width:55vw;margin:28px 0 28px 16px}
+  #reviewPane{display:none;position:fixed;top:0;right:0;width:calc(45vw - 32px);height:100vh;overflow:auto;background:#e5e7eb;border-left:1px solid var(--border);padding:12px}
+  body.reviewing #reviewPane{display:block}
+  .srcpage{position:relative;margin:0 0 12px;background:#fff;box-shadow:0 1px 3px rgba(0,0,0,.2)}
+  .srcpage img{display:block;width:100%;height:100%}
+  .srcword{position:absolute;cursor:pointer;border-radius:2px}
+  .srcword:hover{outline:1px solid #2563eb;background:rgba(37,99,235,.08)}
+  .srchl{position:absolute;background:rgba(250,204,21,.35);outline:2px solid #f59e0b;border-radius:2px;cursor:pointer;z-index:1}
   .badge{display:inline-block;font-size:11px;background:#eef2ff;color:#3730a3;border:1px solid #c7d2fe;border-radius:999px;padding:2px 8px}
   .cm{border:1px solid #cbd5e1;border-radius:6px;font-size:11px;padding:2px 6px;background:#f8fafc;cursor:pointer}
   .cm:hover{background:#eef2ff}
@@ -770,21 +3542,36 @@ app.get("/", (_req, res) => {
   .product header{display:flex;justify-content:space-between;align-items:center;margin-bottom:8px}
   .list table{width:100%;border-collapse:collapse}
   .list th,.list td{border-bottom:1px solid var(--border);padding:8px;text-align:left;font-size:14px}
+  .userbar{display:flex;justify-content:flex-end;align-items:center;gap:8px;font-size:13px}
+  select{padding:8px;border-radius:8px;border:1px solid var(--border);background:#fff}
+  .diff td{vertical-align:top;white-space:pre-wrap;font-size:13px}
+  .thread-panel{position:absolute;width:340px;background:#fff;border:1px solid var(--border);border-radius:10px;box-shadow:0 4px 16px rgba(0,0,0,.12);padding:12px;z-index:10;max-height:70vh;overflow:auto}
+  .thread-panel header{display:flex;justify-content:space-between;align-items:center}
+  .thread{border-top:1px solid var(--border);padding:8px 0;font-size:13px}
+  .thread.resolved{opacity:.65}
+  .thread .reply{margin:6px 0 0 12px;padding-left:8px;border-left:2px solid var(--border)}
+  .thread textarea{min-height:40px;margin-top:6px}
+  .cmeta{font-size:11px;color:var(--muted)}
+  .timeline td{vertical-align:top;font-size:13px}
+  .timeline ul{margin:0;padding-left:16px}
+  .diff .added{color:var(--ok)} .diff .removed{color:var(--danger)} .diff .changed{color:#92400e}
 </style>
 </head>
 <body>
 <div class="container">
+  <div class="userbar"><span id="whoami" class="muted"></span> <button class="btn-link" type="button" id="logoutBtn">Sign out</button></div>
   <h1>Shipping Instruction <span id="draftBadge" class="badge" style="display:none"></span></h1>
 
   <!-- Import & Create draft -->
   <div class="card">
     <div class="grid2">
       <div>
-        <div class="muted">Drop your PDF to auto-fill a Draft v1:</div>
-        <div id="drop" class="drop" style="margin-top:8px">Drop PDF here or click<input id="file" type="file" accept="application/pdf" hidden/></div>
+        <div class="muted">Drop your PDF to auto-fill a Draft v1 (several PDFs or a ZIP make one draft each):</div>
+        <div id="drop" class="drop" style="margin-top:8px">Drop PDFs / ZIP here or click<input id="file" type="file" accept="application/pdf,.pdf,application/zip,.zip" multiple hidden/></div>
         <div id="status" class="muted status"></div>
+        <button class="btn-link" type="button" id="reviewBtn" hidden>Review side by side with the source</button>
       </div>
-      <div>
+      <div id="batchPanel">
         <div class="muted">Confidence & checks will appear here after upload.</div>
       </div>
     </div>
@@ -827,6 +3614,13 @@ app.get("/", (_req, res) => {
   <!-- 2. Consignee -->
   <div class="card">
     <h2>2. Consignee</h2>
+    <div class="party" data-role="consignee">
+      <input class="partySearch" list="parties_consignee" placeholder="Address book: name, customer no or VAT…"/>
+      <datalist id="parties_consignee"></datalist>
+      <span class="partyStatus muted"></span>
+      <button class="btn-link partyConfirm" type="button" hidden>Confirm</button>
+      <button class="btn-link partyAdd" type="button">Add to address book</button>
+    </div>
     <div class="grid2">
       <div>
         <label>Company name <button class="cm" data-field="consignee_address">💬</button> <span class="count" id="cnt_consignee_address"></span></label>
@@ -864,6 +3658,13 @@ app.get("/", (_req, res) => {
   <!-- 3. Notify Party -->
   <div class="card">
     <h2>3. Notify Party (if different)</h2>
+    <div class="party" data-role="notify">
+      <input class="partySearch" list="parties_notify" placeholder="Address book: name, customer no or VAT…"/>
+      <datalist id="parties_notify"></datalist>
+      <span class="partyStatus muted"></span>
+      <button class="btn-link partyConfirm" type="button" hidden>Confirm</button>
+      <button class="btn-link partyAdd" type="button">Add to address book</button>
+    </div>
     <div class="grid2">
       <div>
         <label>Company name</label>
@@ -934,6 +3735,7 @@ app.get("/", (_req, res) => {
         </div>
         <label style="margin-top:8px">Delivery Terms (Incoterm + location) <button class="cm" data-field="delivery_terms">💬</button> <span class="count" id="cnt_delivery_terms"></span></label>
         <input id="delivery_terms" placeholder="DAP Athens, GR"/>
+        <div class="muted" id="incotermHint"></div>
         <label style="margin-top:8px">Way of Forwarding <button class="cm" data-field="way_of_forwarding">💬</button> <span class="count" id="cnt_way_of_forwarding"></span></label>
         <input id="way_of_forwarding" placeholder="SEA / FCL"/>
       </div>
@@ -941,11 +3743,11 @@ app.get("/", (_req, res) => {
     <div class="grid2" style="margin-top:8px">
       <div>
         <label>Loading Date <button class="cm" data-field="loading_date">💬</button> <span class="count" id="cnt_loading_date"></span></label>
-        <input id="loading_date" placeholder="dd.mm.yyyy"/>
+        <input id="loading_date" placeholder="yyyy-mm-dd (dd.mm.yyyy is converted)"/>
       </div>
       <div>
         <label>Scheduled Delivery Date <button class="cm" data-field="scheduled_delivery_date">💬</button> <span class="count" id="cnt_scheduled_delivery_date"></span></label>
-        <input id="scheduled_delivery_date" placeholder="dd.mm.yyyy"/>
+        <input id="scheduled_delivery_date" placeholder="yyyy-mm-dd (dd.mm.yyyy is converted)"/>
       </div>
     </div>
     <label style="margin-top:8px">Final Delivery Address</label>
@@ -1014,6 +3816,15 @@ app.get("/", (_req, res) => {
   <!-- 9. Contacts for Coordination -->
   <div class="card">
     <h2>9. Contacts for Coordination</h2>
+    <label>Carrier notification to <button class="cm" data-field="carrier_to">💬</button> <span class="count" id="cnt_carrier_to"></span></label>
+    <div class="party" data-role="carrier">
+      <input class="partySearch" list="parties_carrier" placeholder="Address book: name, customer no or VAT…"/>
+      <datalist id="parties_carrier"></datalist>
+      <span class="partyStatus muted"></span>
+      <button class="btn-link partyConfirm" type="button" hidden>Confirm</button>
+      <button class="btn-link partyAdd" type="button">Add to address book</button>
+    </div>
+    <textarea id="carrier_to" placeholder="Forwarder name and address"></textarea>
     <div class="grid2">
       <div>
         <label>Forwarder contact (if known)</label>
@@ -1046,12 +3857,33 @@ app.get("/", (_req, res) => {
     <div class="toolbar">
       <button class="btn" type="button" id="saveDraftBtn" disabled>Save Draft</button>
       <button class="btn" type="button" id="freezeBtn" disabled>Freeze & Submit</button>
+      <button class="btn" type="button" id="sendMailBtn" disabled>Email Forwarder</button>
+      <button class="btn" type="button" id="attachBtn" disabled title="Merge an order confirmation, delivery note… into this draft">Attach Document</button>
+      <input id="attachFile" type="file" accept="application/pdf,.pdf" hidden/>
+      <a class="btn" id="sourceLink" target="_blank" rel="noopener" hidden>Source PDF</a>
       <a class="btn" href="/api/shipments.csv">Download CSV</a>
       <a class="btn" href="/api/health" target="_blank" rel="noopener">Health</a>
     </div>
     <div id="saveStatus" class="status"></div>
   </div>
 
+  <!-- Changes between versions / machine output -->
+  <div class="card list" id="diffCard" style="display:none">
+    <h2>Changes</h2>
+    <div class="toolbar">
+      <span class="muted">From</span> <select id="diffFrom"></select>
+      <span class="muted">to</span> <select id="diffTo"></select>
+      <button class="btn" type="button" id="diffBtn">Compare</button>
+    </div>
+    <div id="diffOut" style="margin-top:8px"></div>
+  </div>
+
+  <!-- Audit timeline for the current document -->
+  <div class="card list" id="historyCard" style="display:none">
+    <h2>History</h2>
+    <div id="historyOut"></div>
+  </div>
+
   <!-- Past -->
   <div class="card list">
     <div class="muted" style="margin-bottom:8px">Past Notifications</div>
@@ -1059,6 +3891,18 @@ app.get("/", (_req, res) => {
   </div>
 </div>
 
+<div id="threadPanel" class="thread-panel" style="display:none"></div>
+
+<!-- Source document next to the form (review mode) -->
+<div id="reviewPane">
+  <div class="toolbar" style="justify-content:space-between;margin-bottom:8px">
+    <select id="reviewDoc" hidden></select>
+    <span class="muted" style="font-size:12px">Focus a field to see where it came from; click text to fill the field (shift+click appends).</span>
+    <button class="btn-link" type="button" id="reviewClose">Close</button>
+  </div>
+  <div id="reviewPages"></div>
+</div>
+
 <script>
 window.addEventListener('error', function(e){
   var s = document.getElementById('saveStatus');
@@ -1067,12 +3911,37 @@ window.addEventListener('error', function(e){
 });
 
 var $ = function(sel){ return document.querySelector(sel); };
+
+// Session: any 401 means the login expired
+var _fetch = window.fetch.bind(window);
+window.fetch = function(){
+  return _fetch.apply(null, arguments).then(function(r){ if (r.status === 401) location.href = "/login"; return r; });
+};
+var me = { username: "", roles: [] };
+var OCR_LOW_CONF = ${OCR_LOW_CONF};
+// which role may press which button (admin may press all)
+var BTN_ROLES = { saveDraftBtn: ["reviewer", "approver"], attachBtn: ["uploader", "reviewer", "approver"], freezeBtn: ["approver"], sendMailBtn: ["approver"] };
+function can(roles){ return me.roles.indexOf("admin") >= 0 || roles.some(function(r){ return me.roles.indexOf(r) >= 0; }); }
+function enableBtn(id, on){
+  var b = document.getElementById(id);
+  b.disabled = !(on && can(BTN_ROLES[id] || []));
+  b.title = on && b.disabled ? "Requires role: " + BTN_ROLES[id].join(" or ") : "";
+}
+fetch("/api/me").then(function(r){ return r.json(); }).then(function(u){
+  me = u || me;
+  $("#whoami").textContent = (me.display_name || me.username) + " (" + me.roles.join(", ") + ")";
+});
+$("#logoutBtn").addEventListener("click", async function(){
+  await fetch("/api/logout", { method:"POST" });
+  location.href = "/login";
+});
 var statusEl = $("#status");
 var prodWrap = $("#products");
 var saveStatus = $("#saveStatus");
 var draftBadge = $("#draftBadge");
 var currentDraftId = null;
 var currentVersionNo = null;
+var currentShipmentId = null;
 
 function makeProductCard(idx, data){
   data = data || {};
@@ -1112,64 +3981,305 @@ file.addEventListener("change", function(e){ handleFiles(e.target.files); });
 
 async function handleFiles(files){
   var f = files[0]; if (!f) return;
-  statusEl.textContent = "Uploading & extracting…";
+  if (files.length > 1 || /\.zip$/i.test(f.name)) return handleBatch(files);
+  statusEl.textContent = "Uploading…";
   statusEl.className = "status";
   try {
     var fd = new FormData();
     fd.append("file", f);
 
-    var ctrl = new AbortController();
-    var to = setTimeout(function(){ ctrl.abort(); }, 180000);
-
-    var r = await fetch("/api/upload?nocache=1", { method: "POST", body: fd, signal: ctrl.signal });
-    clearTimeout(to);
-
+    var r = await fetch("/api/upload", { method: "POST", body: fd });
     var raw = await r.text();
     var js;
     try { js = JSON.parse(raw); } catch(e){ js = { error: "Non-JSON response", raw: raw }; }
 
-    if (!r.ok) {
+    if (r.ok && js.job_id) {
+      var job = await watchJob(js);
+      js = job.status === "done" ? job.result : { error: job.error || "Extraction failed" };
+    }
+    if (!r.ok || js.error) {
       statusEl.textContent = js.error || ("Upload failed (" + r.status + ")");
       statusEl.className = "status err";
       console.error("Upload error response:", js.raw || js);
       return;
     }
-
-    currentDraftId = js.draft_id || null;
-    currentVersionNo = js.version_no || 1;
-    if (currentDraftId) {
-      draftBadge.style.display = "inline-block";
-      draftBadge.textContent = "Draft v" + currentVersionNo + " (" + currentDraftId.slice(0,6) + "…)";
-      document.getElementById("saveDraftBtn").disabled = false;
-      document.getElementById("freezeBtn").disabled = false;
-      await refreshCommentCounts();
+    if (js.drafts) {
+      // several shipments in one file: step through them like a batch
+      currentBatch = { total: 1, done: 1, failed: 0, finished: true, skipped: [],
+        files: js.drafts.map(function(d){ return Object.assign({ file_name: f.name + " (p. " + d.pages + ")" }, d, { status: "done" }); }) };
+      batchPos = 0;
+      renderBatch();
     }
+    showDraftResult(js);
+  } catch (err) {
+    statusEl.textContent = "Network/timeout: " + err.message;
+    statusEl.className = "status err";
+    console.error(err);
+  }
+}
 
-    var conf = (typeof js.confidence === "number") ? (" (confidence " + Math.round(js.confidence) + "%)") : "";
-    var warn = (js.warnings && js.warnings.length) ? " — Check: " + js.warnings.join("; ") : "";
-    statusEl.textContent = "Draft created" + conf + ". Review the form." + warn;
-    statusEl.className = "status ok";
+// Load an extraction result / draft into the form and the status line
+async function showDraftResult(js){
+  setDraft(js.draft_id || null, js.version_no || 1, js.status);
+  $("#sourceLink").hidden = !currentDraftId;
+  if (currentDraftId) $("#sourceLink").href = "/api/draft/" + currentDraftId + "/source.pdf";
+  if (currentDraftId) {
+    enableBtn("saveDraftBtn", true);
+    enableBtn("attachBtn", true);
+    enableBtn("freezeBtn", true);
+    await refreshCommentCounts();
+    loadDiff().catch(console.error);
+    loadHistory().catch(console.error);
+  }
 
-    fillForm(js);
+  var conf = (typeof js.confidence === "number") ? (" (confidence " + Math.round(js.confidence) + "%)") : "";
+  var warn = (js.warnings && js.warnings.length) ? " — Check: " + js.warnings.join("; ") : "";
+  var tpl = js.template ? (" · template " + js.template.name) : "";
+  var what = js.reused ? ("Existing draft v" + currentVersionNo + " loaded (re-upload keeps your edits)") : "Draft created";
+  statusEl.textContent = what + conf + tpl + ". Review the form." + warn;
+  statusEl.className = "status ok";
+
+  fillForm(js);
+
+  if (Array.isArray(js.evidence)) {
+    const byField = {};
+    js.evidence.forEach(e => { (byField[e.field] ||= []).push(e); });
+    Object.keys(byField).forEach(field => {
+      const badge = document.getElementById("cnt_" + field);
+      if (!badge) return;
+      badge.title = byField[field].map(x => "[" + x.source + "] " + x.snippet).join("\\n\\n");
+      badge.textContent = (badge.textContent ? badge.textContent + " · " : "") + byField[field].length + " evidence";
+    });
+  }
+}
 
-    if (Array.isArray(js.evidence)) {
-      const byField = {};
-      js.evidence.forEach(e => { (byField[e.field] ||= []).push(e); });
-      Object.keys(byField).forEach(field => {
-        const badge = document.getElementById("cnt_" + field);
-        if (!badge) return;
-        badge.title = byField[field].map(x => "[" + x.source + "] " + x.snippet).join("\\n\\n");
-        badge.textContent = (badge.textContent ? badge.textContent + " · " : "") + byField[field].length + " evidence";
-      });
-    }
+// Batch: one job per PDF; the summary refreshes until every file is finished
+var currentBatch = null, batchPos = -1;
+async function handleBatch(files){
+  statusEl.textContent = "Uploading " + files.length + " file(s)…";
+  statusEl.className = "status";
+  var fd = new FormData();
+  for (var i = 0; i < files.length; i++) fd.append("files", files[i]);
+  try {
+    var r = await fetch("/api/batch", { method: "POST", body: fd });
+    var js = await r.json();
+    if (!r.ok) throw new Error(js.error || ("Batch upload failed (" + r.status + ")"));
+    batchPos = -1;
+    await pollBatch(js.status_url);
   } catch (err) {
-    statusEl.textContent = "Network/timeout: " + err.message;
+    statusEl.textContent = err.message;
     statusEl.className = "status err";
-    console.error(err);
   }
 }
+async function pollBatch(url){
+  var r = await fetch(url);
+  currentBatch = await r.json();
+  renderBatch();
+  if (!currentBatch.finished) return setTimeout(function(){ pollBatch(url).catch(console.error); }, 2000);
+  statusEl.textContent = "Batch done: " + currentBatch.done + " draft(s), " + currentBatch.failed + " failed.";
+  statusEl.className = currentBatch.failed ? "status err" : "status ok";
+  if (batchPos < 0) stepBatch(1);
+}
+function batchDrafts(){ return (currentBatch ? currentBatch.files : []).filter(function(f){ return f.draft_id; }); }
+function renderBatch(){
+  var b = currentBatch, el = $("#batchPanel");
+  if (!b) return;
+  var drafts = batchDrafts();
+  var h = '<div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:6px">'
+    + '<strong>Batch · ' + b.done + '/' + b.total + ' done' + (b.failed ? ', ' + b.failed + ' failed' : '') + '</strong>'
+    + '<span><button class="btn-link" type="button" data-step="-1">◀ Prev</button> '
+    + (batchPos >= 0 ? (batchPos + 1) + ' / ' + drafts.length : '') + ' '
+    + '<button class="btn-link" type="button" data-step="1">Next ▶</button></span></div>'
+    + '<div class="list"><table class="diff"><thead><tr><th>File</th><th>Status</th><th>Conf.</th><th>Warnings</th></tr></thead><tbody>';
+  b.files.forEach(function(f){
+    var cur = f.draft_id && f.draft_id === currentDraftId;
+    h += '<tr' + (cur ? ' style="background:#eef2ff"' : '') + '><td>'
+      + (f.draft_id ? '<a href="#" data-draft="' + esc(f.draft_id) + '">' + esc(f.file_name) + '</a>' : esc(f.file_name)) + '</td>'
+      + '<td>' + esc(f.status === "failed" ? "failed: " + (f.error || "") : f.status === "running" ? f.stage : f.status) + (f.reused ? " (existing)" : "") + '</td>'
+      + '<td>' + (f.confidence != null ? Math.round(f.confidence) + '%' : '') + '</td>'
+      + '<td class="muted">' + esc((f.warnings || []).join("; ")) + '</td></tr>';
+  });
+  (b.skipped || []).forEach(function(s){
+    h += '<tr><td>' + esc(s.file_name) + '</td><td>skipped</td><td></td><td class="muted">' + esc(s.reason) + '</td></tr>';
+  });
+  el.innerHTML = h + '</tbody></table></div>';
+}
+function stepBatch(delta){
+  var drafts = batchDrafts();
+  if (!drafts.length) return;
+  batchPos = Math.max(0, Math.min(drafts.length - 1, batchPos + delta));
+  openDraft(drafts[batchPos].draft_id).catch(console.error);
+}
+$("#batchPanel").addEventListener("click", function(e){
+  var t = e.target;
+  if (t.dataset.step) { stepBatch(+t.dataset.step); return; }
+  if (t.dataset.draft) {
+    e.preventDefault();
+    batchPos = batchDrafts().findIndex(function(f){ return f.draft_id === t.dataset.draft; });
+    openDraft(t.dataset.draft).catch(console.error);
+  }
+});
+
+// Open the newest version of a draft in the form
+async function openDraft(id){
+  var r = await fetch("/api/draft/" + id);
+  var d = await r.json();
+  if (!r.ok) throw new Error(d.error || ("Load failed (" + r.status + ")"));
+  if (d.latest_id !== d.id) return openDraft(d.latest_id);
+  currentShipmentId = null;
+  await showDraftResult(Object.assign({}, d.fields, { draft_id: d.id, version_no: d.version_no, status: d.status, reused: true }));
+  var src = (d.sources || []).filter(function(x){ return x.sender || x.subject; })[0];
+  if (src) statusEl.textContent += " Source: " + (src.sender || "?") + " · " + (src.subject || "(no subject)") +
+    (src.received_at ? " · received " + new Date(src.received_at).toLocaleString() : "");
+  enableBtn("saveDraftBtn", d.status === "draft");
+  enableBtn("attachBtn", d.status === "draft");
+  enableBtn("freezeBtn", d.status === "draft");
+  renderBatch();
+}
+
+// Follow an extraction job over SSE (polling if the stream drops); resolves with the finished job
+var STAGE_TEXT = { queued: "Queued", start: "Starting", cache: "Using the earlier extraction", text: "Extracting text", parse: "Parsing fields", llm: "Refining with model", done: "Done" };
+function jobProgressText(j){
+  var p = j.progress || {};
+  if (p.stage === "ocr") return "OCR page " + p.page + "/" + p.pages + "…";
+  return (STAGE_TEXT[p.stage] || p.stage || j.status) + "…";
+}
+function watchJob(start){
+  return new Promise(function(resolve){
+    var finished = false;
+    function finish(j){ if (!finished) { finished = true; resolve(j); } }
+    function poll(){
+      fetch(start.status_url).then(function(r){ return r.json(); }).then(function(j){
+        statusEl.textContent = jobProgressText(j);
+        if (j.status === "done" || j.status === "failed") finish(j); else setTimeout(poll, 1500);
+      }).catch(function(){ setTimeout(poll, 3000); });
+    }
+    var es = new EventSource(start.events_url);
+    es.addEventListener("progress", function(e){ statusEl.textContent = jobProgressText(JSON.parse(e.data)); });
+    ["done", "failed"].forEach(function(t){
+      es.addEventListener(t, function(e){ es.close(); finish(JSON.parse(e.data)); });
+    });
+    es.onerror = function(){ if (!finished) { es.close(); poll(); } };
+  });
+}
+
+function setDraft(id, versionNo, status){
+  currentDraftId = id;
+  currentVersionNo = versionNo;
+  $("#reviewBtn").hidden = !id;
+  if (review.on && id !== review.draftId) id ? loadReview().catch(reviewError) : setReview(false);
+  if (!id) { draftBadge.style.display = "none"; return; }
+  draftBadge.style.display = "inline-block";
+  draftBadge.textContent = "Draft v" + versionNo + (status && status !== "draft" ? " · " + status : "") + " (" + id.slice(0,6) + "…)";
+}
+
+// Side-by-side review: the draft's source pages with their word boxes next to the form
+var review = { on: false, draftId: null, doc: null, layout: null, input: null };
+var INPUT_ALIASES = { customer_no_ref: ["customer_no"] };
+function setReview(on){
+  review.on = on;
+  document.body.classList.toggle("reviewing", on);
+  $("#reviewBtn").textContent = on ? "Close source view" : "Review side by side with the source";
+  if (on) loadReview().catch(reviewError);
+}
+function reviewError(e){ $("#reviewPages").textContent = "Source unavailable: " + e.message; }
+$("#reviewBtn").addEventListener("click", function(){ setReview(!review.on); });
+$("#reviewClose").addEventListener("click", function(){ setReview(false); });
+$("#reviewDoc").addEventListener("change", function(e){ loadReview(e.target.value).catch(reviewError); });
 
-function setVal(id, val){ var el = document.getElementById(id); if(el) el.value = val || ""; }
+async function loadReview(doc){
+  if (!currentDraftId) return;
+  if (currentDraftId !== review.draftId) review.doc = null;
+  review.draftId = currentDraftId;
+  review.doc = doc || review.doc;
+  var r = await fetch("/api/draft/" + currentDraftId + "/layout" + (review.doc ? "?doc=" + encodeURIComponent(review.doc) : ""));
+  var js = await r.json();
+  if (!r.ok) throw new Error(js.error || ("Layout failed (" + r.status + ")"));
+  review.layout = js;
+  var sel = $("#reviewDoc");
+  sel.innerHTML = js.documents.map(function(x){
+    return '<option value="' + esc(x.doc_hash) + '">' + esc(x.file_name) + (x.role === "primary" ? "" : " (attached)") + '</option>';
+  }).join("");
+  sel.value = js.doc_hash;
+  sel.hidden = js.documents.length < 2;
+  var pct = function(v, of){ return (100 * v / of).toFixed(2) + "%"; };
+  $("#reviewPages").innerHTML = js.pages.map(function(p){
+    var w = p.width || 595, h = p.height || 842;
+    return '<div class="srcpage" data-page="' + p.page + '" data-w="' + w + '" data-h="' + h + '" style="aspect-ratio:' + w + '/' + h + '">'
+      + '<img loading="lazy" alt="Page ' + p.page + '" src="/api/draft/' + currentDraftId + '/pages/' + p.page + '.png?doc=' + js.doc_hash + '">'
+      + p.words.map(function(x){
+          return '<div class="srcword" data-text="' + esc(x.text) + '" style="left:' + pct(x.xMin, w) + ';top:' + pct(x.yMin, h)
+            + ';width:' + pct(x.xMax - x.xMin, w) + ';height:' + pct(x.yMax - x.yMin, h) + '"></div>';
+        }).join("")
+      + '</div>';
+  }).join("") || '<div class="muted">No pages stored for this document.</div>';
+  $("#reviewPages").querySelectorAll("img").forEach(function(img){
+    img.onerror = function(){ img.replaceWith(Object.assign(document.createElement("div"), { className: "muted", textContent: "Page image unavailable" })); };
+  });
+  if (review.input) highlightField(review.input);
+}
+
+// Field keys shown by a form input (product inputs are items.<i>.<name>)
+function fieldsOfInput(el){
+  var card = el.closest(".product");
+  if (card) return ["items." + Array.prototype.indexOf.call(prodWrap.children, card) + "." + el.name];
+  return [el.id].concat(INPUT_ALIASES[el.id] || [], Object.keys(FIELD_INPUTS).filter(function(k){ return FIELD_INPUTS[k] === el.id; }));
+}
+function highlightField(el){
+  document.querySelectorAll(".srchl").forEach(function(x){ x.remove(); });
+  if (!review.layout) return;
+  var first = null;
+  fieldsOfInput(el).forEach(function(k){
+    (review.layout.regions[k] || []).forEach(function(b){
+      var pg = document.querySelector('.srcpage[data-page="' + b.page + '"]');
+      if (!pg) return;
+      var w = +pg.dataset.w, h = +pg.dataset.h, pad = 1.5;
+      var hl = document.createElement("div");
+      hl.className = "srchl";
+      hl.title = b.text;
+      hl.dataset.text = b.text;
+      hl.style.cssText = "left:" + (100 * (b.xMin - pad) / w) + "%;top:" + (100 * (b.yMin - pad) / h) + "%;width:" + (100 * (b.xMax - b.xMin + 2 * pad) / w)
+        + "%;height:" + (100 * (b.yMax - b.yMin + 2 * pad) / h) + "%";
+      pg.appendChild(hl);
+      first = first || hl;
+    });
+  });
+  if (first) first.scrollIntoView({ block: "center", behavior: "smooth" });
+}
+document.addEventListener("focusin", function(e){
+  var el = e.target;
+  if (!review.on || !el.matches("input:not([type=file]), textarea") || el.closest("#reviewPane")) return;
+  review.input = el;
+  highlightField(el);
+});
+// Clicking source text fills the focused field: a highlight gives the whole located value, a word just itself
+$("#reviewPages").addEventListener("mousedown", function(e){ e.preventDefault(); });
+$("#reviewPages").addEventListener("click", function(e){
+  var t = e.target, el = review.input;
+  if (!el || !(t.classList.contains("srchl") || t.classList.contains("srcword"))) return;
+  var sep = el.tagName === "TEXTAREA" ? "\\n" : " ";
+  var text = t.classList.contains("srchl")
+    ? Array.prototype.map.call(document.querySelectorAll(".srchl"), function(x){ return x.dataset.text; }).join(sep)
+    : t.dataset.text;
+  el.value = (e.shiftKey && el.value) ? el.value + " " + text : text;
+  el.dispatchEvent(new Event("input", { bubbles: true }));
+  el.focus();
+});
+
+async function saveDraft(){
+  const r = await fetch("/api/draft/" + currentDraftId + "/save", {
+    method:"POST", headers:{ "Content-Type":"application/json" }, body: JSON.stringify(collectForm())
+  });
+  const js = await r.json();
+  if (!r.ok) throw new Error(js.error || ("Save failed (" + r.status + ")"));
+  setDraft(js.draft_id, js.version_no, "draft");
+  markIssues(js.issues || []);
+  loadDiff().catch(console.error);
+  loadHistory().catch(console.error);
+  return js;
+}
+
+function setVal(id, val){ var el = document.getElementById(id); if(el) el.value = (val === null || val === undefined) ? "" : val; }
 
 function fillForm(d){
   // Shipper
@@ -1208,6 +4318,7 @@ function fillForm(d){
   setVal("pol", (d.extras && d.extras.pol) || "");
   setVal("pod", (d.extras && d.extras.pod) || "");
   setVal("delivery_terms", d.delivery_terms);
+  document.getElementById("incotermHint").textContent = d.incoterm ? "Incoterm " + d.incoterm + (d.incoterm_place ? " · named place " + d.incoterm_place : "") : "";
   setVal("way_of_forwarding", d.way_of_forwarding);
   setVal("loading_date", d.loading_date);
   setVal("scheduled_delivery_date", d.scheduled_delivery_date);
@@ -1226,10 +4337,11 @@ function fillForm(d){
 
   // B/L
   setVal("bl_type", (d.extras && d.extras.bl_type) || "");
-  setVal("bl_originals", (d.extras && d.extras.bl_originals) || "");
+  setVal("bl_originals", d.extras && d.extras.bl_originals);
   setVal("bl_remarks", d.bl_remarks);
 
   // Contacts
+  setVal("carrier_to", d.carrier_to);
   setVal("forwarder_contact", (d.extras && d.extras.forwarder_contact) || "");
   setVal("destination_contact", (d.extras && d.extras.destination_contact) || "");
 
@@ -1242,46 +4354,229 @@ function fillForm(d){
   var items = (d.items && d.items.length) ? d.items : [{}];
   for (var i=0;i<items.length;i++) addProduct(items[i]);
 
+  currentParties = d.party_matches || {};
+  renderParties();
+  markProvenance(d.field_provenance || {});
+  markLowConfidence(d.field_confidence || {});
+  markSources(d.field_sources || {});
+  markRaw(d.field_raw || {});
+  markIssues(d.issues || []);
   loadRecent();
 }
 
+// Values only the model found (the parser had none or was overruled) get a side mark
+function markProvenance(fp){
+  document.querySelectorAll(".modelfill").forEach(function(el){ el.classList.remove("modelfill"); el.removeAttribute("title"); });
+  Object.keys(fp).forEach(function(k){
+    if (fp[k] !== "llm") return;
+    var el = k === "items" ? prodWrap : document.getElementById(FIELD_INPUTS[k] || k);
+    if (!el) return;
+    el.classList.add("modelfill");
+    el.title = "Filled by the model (found in the document text)";
+  });
+}
+
+// Address book: the draft's party matches, autocomplete, confirmation and new entries
+var currentParties = {};
+var partyOptions = {};
+var PARTY_FORM = {
+  consignee: { name: "consignee_company", block: "consignee_address", contact: "customer_contact", email: "customer_email", phone: "customer_phone",
+               customer_no: "customer_no", vat_no: "vat_no", eori: "importer_tax_id" },
+  notify: { name: "notify_company", block: "notify1_address", contact: "notify_contact", email: "notify1_email", phone: "notify1_phone" },
+  carrier: { block: "carrier_to" }
+};
+var PARTY_BY = { customer_no: "customer no", vat_no: "VAT no", manual: "picked" };
+function renderParties(){
+  document.querySelectorAll(".party").forEach(function(row){
+    var m = currentParties[row.dataset.role];
+    row.querySelector(".partyStatus").textContent = !m ? ""
+      : m.confirmed ? "✓ " + m.name + " (" + (PARTY_BY[m.by] || "confirmed") + ")"
+      : "Suggested: " + m.name + " (" + Math.round(m.score * 100) + "% name match)";
+    row.querySelector(".partyConfirm").hidden = !m || m.confirmed;
+  });
+}
+function applyParty(role, p){
+  var f = PARTY_FORM[role];
+  setVal(f.block, p.block);
+  if (f.name) setVal(f.name, p.name);
+  ["contact", "email", "phone", "customer_no", "vat_no", "eori"].forEach(function(k){ if (f[k] && p[k]) setVal(f[k], p[k]); });
+  currentParties[role] = { party_id: p.id, name: p.name, score: 1, by: "manual", confirmed: true };
+  renderParties();
+}
+var partyTimer = null;
+document.querySelectorAll(".party").forEach(function(row){
+  var role = row.dataset.role, search = row.querySelector(".partySearch");
+  search.addEventListener("input", function(){
+    var p = (partyOptions[role] || {})[search.value];
+    if (p) { applyParty(role, p); search.value = ""; return; }
+    clearTimeout(partyTimer);
+    partyTimer = setTimeout(async function(){
+      if (!search.value.trim()) return;
+      var r = await fetch("/api/parties?q=" + encodeURIComponent(search.value) + (role === "notify" ? "" : "&kind=" + role));
+      var list = r.ok ? await r.json() : [];
+      partyOptions[role] = {};
+      var dl = document.getElementById("parties_" + role);
+      dl.innerHTML = "";
+      list.forEach(function(p){
+        partyOptions[role][p.name] = p;
+        var o = document.createElement("option");
+        o.value = p.name;
+        o.label = p.block.split("\\n").slice(1).join(", ") + (p.customer_no ? " · " + p.customer_no : "");
+        dl.appendChild(o);
+      });
+    }, 250);
+  });
+  row.querySelector(".partyConfirm").addEventListener("click", function(){
+    if (currentParties[role]) currentParties[role].confirmed = true;
+    renderParties();
+  });
+  row.querySelector(".partyAdd").addEventListener("click", async function(){
+    var f = PARTY_FORM[role], body = { kind: role };
+    Object.keys(f).forEach(function(k){ var v = document.getElementById(f[k]).value.trim(); if (v) body[k] = v; });
+    if (!body.block) { saveStatus.textContent = "Fill in the address first"; saveStatus.className = "status err"; return; }
+    var r = await fetch("/api/parties", { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+    var js = await r.json();
+    if (!r.ok) { saveStatus.textContent = "Address book: " + (js.error || r.status); saveStatus.className = "status err"; return; }
+    currentParties[role] = { party_id: js.id, name: js.name, score: 1, by: "manual", confirmed: true };
+    renderParties();
+    saveStatus.textContent = js.name + " added to the address book.";
+    saveStatus.className = "status ok";
+  });
+});
+
+// Rule results under the fields they concern; errors also outline the input
+function markIssues(issues){
+  document.querySelectorAll(".issue").forEach(function(el){ el.remove(); });
+  document.querySelectorAll(".invalid").forEach(function(el){ el.classList.remove("invalid"); });
+  issues.forEach(function(i){
+    var m = /^items\\.(\\d+)\\.(\\w+)$/.exec(i.field || ""), el;
+    if (m) { var card = prodWrap.children[+m[1]]; el = card && card.querySelector('[name="' + m[2] + '"]'); }
+    else el = i.field === "items" ? prodWrap : document.getElementById(FIELD_INPUTS[i.field] || i.field);
+    if (!el) return;
+    if (i.severity === "error") el.classList.add("invalid");
+    var div = document.createElement("div");
+    div.className = "issue " + i.severity;
+    div.textContent = i.message;
+    el.insertAdjacentElement("afterend", div);
+  });
+}
+
+// Normalized values keep what was written in a tooltip
+function markRaw(fr){
+  document.querySelectorAll("[data-raw]").forEach(function(el){ if (el.title === el.getAttribute("data-raw")) el.removeAttribute("title"); el.removeAttribute("data-raw"); });
+  Object.keys(fr).forEach(function(k){
+    var m = /^items\\.(\\d+)\\.(\\w+)$/.exec(k), el;
+    if (m) { var card = prodWrap.children[+m[1]]; el = card && card.querySelector('[name="' + m[2] + '"]'); }
+    else el = document.getElementById(FIELD_INPUTS[k] || k);
+    if (!el || el.title) return;
+    el.title = "As written: " + fr[k];
+    el.setAttribute("data-raw", el.title);
+  });
+}
+
+// Fields filled from an attached document show where they came from
+function markSources(fsrc){
+  document.querySelectorAll(".merged").forEach(function(el){ el.classList.remove("merged"); if (!el.classList.contains("lowconf")) el.removeAttribute("title"); });
+  Object.keys(fsrc).forEach(function(k){
+    var el = k === "items" ? prodWrap : document.getElementById(FIELD_INPUTS[k] || k);
+    if (!el) return;
+    el.classList.add("merged");
+    if (!el.title) el.title = "From " + fsrc[k].file_name + (fsrc[k].pages ? " (p. " + fsrc[k].pages + ")" : "");
+  });
+}
+
+// Outline fields whose value came from low-confidence OCR words
+var FIELD_INPUTS = { your_partner: "shipper_company", order_label: "po_no", shipping_street: "shipping_point_text",
+                     shipping_postal: "shipping_point_text", shipping_city: "shipping_point_text", shipping_country: "shipping_point_text" };
+function markLowConfidence(fc){
+  document.querySelectorAll(".lowconf").forEach(function(el){ el.classList.remove("lowconf"); el.removeAttribute("title"); });
+  Object.keys(fc).forEach(function(k){
+    if (fc[k] >= OCR_LOW_CONF) return;
+    var m = /^items\\.(\\d+)\\.(\\w+)$/.exec(k), el;
+    if (m) { var card = prodWrap.children[+m[1]]; el = card && card.querySelector('[name="' + m[2] + '"]'); }
+    else el = document.getElementById(FIELD_INPUTS[k] || k);
+    if (!el) return;
+    el.classList.add("lowconf");
+    el.title = "Low OCR confidence (" + fc[k] + "%) — check against the source";
+  });
+}
+
 // Add product
 document.getElementById("addProduct").addEventListener("click", function(){ addProduct({}); });
 
 // Save Draft
 document.getElementById("saveDraftBtn").addEventListener("click", async function(){
   if (!currentDraftId) { saveStatus.textContent = "No draft to save"; saveStatus.className = "status err"; return; }
-  const body = collectForm();
   try {
-    const r = await fetch("/api/draft/" + currentDraftId + "/save", {
-      method:"POST", headers:{ "Content-Type":"application/json" }, body: JSON.stringify(body)
-    });
-    const js = await r.json();
-    if (!r.ok) throw new Error(js.error || ("Save failed (" + r.status + ")"));
-    saveStatus.textContent = "Draft saved.";
-    saveStatus.className = "status ok";
+    const js = await saveDraft();
+    var errors = (js.issues || []).filter(function(i){ return i.severity === "error"; }).length;
+    saveStatus.textContent = (js.unchanged ? "No changes since v" + js.version_no + "." : "Saved as v" + js.version_no + ".")
+      + (errors ? " " + errors + " error(s) to fix before freezing." : "");
+    saveStatus.className = errors ? "status err" : "status ok";
   } catch(e) {
     saveStatus.textContent = "Save error: " + e.message;
     saveStatus.className = "status err";
   }
 });
 
+// Attach another document to the current draft (fills empty fields)
+document.getElementById("attachBtn").addEventListener("click", function(){ $("#attachFile").click(); });
+$("#attachFile").addEventListener("change", async function(e){
+  var f = e.target.files[0]; e.target.value = "";
+  if (!f || !currentDraftId) return;
+  saveStatus.textContent = "Attaching " + f.name + "…";
+  saveStatus.className = "status";
+  try {
+    var fd = new FormData(); fd.append("file", f);
+    var r = await fetch("/api/draft/" + currentDraftId + "/attach", { method: "POST", body: fd });
+    var js = await r.json();
+    if (!r.ok) throw new Error(js.error || ("Attach failed (" + r.status + ")"));
+    var job = await watchJob(js);
+    if (job.status !== "done") throw new Error(job.error || "Extraction failed");
+    var res = job.result;
+    await openDraft(res.draft_id);
+    saveStatus.textContent = (res.filled.length ? "Filled " + res.filled.length + " field(s) from " + f.name + ": " + res.filled.join(", ") : "Nothing new in " + f.name)
+      + (res.conflicts.length ? ". Differs from the draft: " + res.conflicts.map(function(c){ return c.field + " (" + c.document + ")"; }).join("; ") : ".");
+    saveStatus.className = res.conflicts.length ? "status err" : "status ok";
+  } catch(err) {
+    saveStatus.textContent = "Attach error: " + err.message;
+    saveStatus.className = "status err";
+  }
+});
+
 // Freeze & Submit
 document.getElementById("freezeBtn").addEventListener("click", async function(){
   if (!currentDraftId) { saveStatus.textContent = "No draft to freeze"; saveStatus.className = "status err"; return; }
   saveStatus.textContent = "Freezing draft…";
   saveStatus.className = "status";
   try {
-    const body = collectForm();
-    await fetch("/api/draft/" + currentDraftId + "/save", {
-      method:"POST", headers:{ "Content-Type":"application/json" }, body: JSON.stringify(body)
-    });
-
-    const r = await fetch("/api/draft/" + currentDraftId + "/freeze", { method:"POST" });
-    const js = await r.json();
+    await saveDraft();
+
+    var r = await fetch("/api/draft/" + currentDraftId + "/freeze", { method:"POST" });
+    var js = await r.json();
+    if (r.status === 409 && js.issues) markIssues(js.issues);
+    if (r.status === 409 && js.unresolved && js.unresolved.length) {
+      var list = js.unresolved.map(function(c){ return "• " + c.field_name + ": " + c.message; }).join("\\n");
+      var reason = prompt(js.unresolved.length + " unresolved comment thread(s):\\n" + list + "\\n\\nEnter a reason to freeze anyway (recorded in the audit trail), or Cancel:");
+      if (!reason) throw new Error("resolve open comments first (" + js.unresolved.map(function(c){ return c.field_name; }).join(", ") + ")");
+      r = await fetch("/api/draft/" + currentDraftId + "/freeze", {
+        method:"POST", headers:{ "Content-Type":"application/json" }, body: JSON.stringify({ override: true, reason: reason })
+      });
+      js = await r.json();
+    }
     if (!r.ok) throw new Error(js.error || ("Freeze failed (" + r.status + ")"));
-    saveStatus.textContent = "Frozen. Shipment saved (ID: " + js.shipment_id + ").";
+    saveStatus.textContent = "Frozen. Shipment saved (ID: " + js.shipment_id + "). ";
     saveStatus.className = "status ok";
+    setDraft(currentDraftId, currentVersionNo, "frozen");
+    loadDiff("v" + currentVersionNo, "shipment").catch(console.error);
+    loadHistory().catch(console.error);
+    if (js.letter_url) {
+      var a = document.createElement("a");
+      a.href = js.letter_url; a.target = "_blank"; a.rel = "noopener"; a.textContent = "Open letter (PDF)";
+      saveStatus.appendChild(a);
+    }
+    currentShipmentId = js.shipment_id;
+    enableBtn("sendMailBtn", true);
     loadRecent();
   } catch(e) {
     saveStatus.textContent = "Freeze error: " + e.message;
@@ -1289,6 +4584,27 @@ document.getElementById("freezeBtn").addEventListener("click", async function(){
   }
 });
 
+// Email frozen shipment to forwarder
+document.getElementById("sendMailBtn").addEventListener("click", async function(){
+  if (!currentShipmentId) { saveStatus.textContent = "Freeze the draft first"; saveStatus.className = "status err"; return; }
+  if (!confirm("Send the carrier notification to the forwarder now?")) return;
+  saveStatus.textContent = "Sending email…";
+  saveStatus.className = "status";
+  try {
+    const r = await fetch("/api/shipment/" + currentShipmentId + "/send", {
+      method:"POST", headers:{ "Content-Type":"application/json" }, body: "{}"
+    });
+    const js = await r.json();
+    if (!r.ok) throw new Error(js.error || ("Send failed (" + r.status + ")"));
+    loadHistory().catch(console.error);
+    saveStatus.textContent = "Email sent to " + js.to.join(", ") + (js.cc.length ? " (cc " + js.cc.join(", ") + ")" : "") + ".";
+    saveStatus.className = "status ok";
+  } catch(e) {
+    saveStatus.textContent = "Email error: " + e.message;
+    saveStatus.className = "status err";
+  }
+});
+
 function collectForm(){
   // Combine shipping point into structured fields if user edited the textarea (best-effort)
   var sp = ($("#shipping_point_text").value||"").split(/\\n+/);
@@ -1349,6 +4665,8 @@ function collectForm(){
 
     way_of_forwarding: $("#way_of_forwarding").value,
     delivery_terms: $("#delivery_terms").value,
+    carrier_to: $("#carrier_to").value,
+    party_matches: currentParties,
 
     consignee_address: $("#consignee_address").value,
     customer_no: $("#customer_no").value,
@@ -1365,8 +4683,9 @@ function collectForm(){
     notify2_email: "",
     notify2_phone: "",
 
-    total_net_kg: parseFloat($("#total_net_kg").value || 0) || null,
-    total_gross_kg: parseFloat($("#total_gross_kg").value || 0) || null,
+    // weights as typed ("24.000,5" or "24,000.5"); the server resolves the separators
+    total_net_kg: $("#total_net_kg").value.trim() || null,
+    total_gross_kg: $("#total_gross_kg").value.trim() || null,
     total_pkgs: null,
     bl_remarks: blCombined,
     hs_code: $("#hs_code").value,
@@ -1377,8 +4696,8 @@ function collectForm(){
     items: [].map.call(prodWrap.querySelectorAll(".product"), function(div){
       return {
         product_name: div.querySelector('input[name="product_name"]').value,
-        net_kg: parseFloat(div.querySelector('input[name="net_kg"]').value || 0) || null,
-        gross_kg: parseFloat(div.querySelector('input[name="gross_kg"]').value || 0) || null,
+        net_kg: div.querySelector('input[name="net_kg"]').value.trim() || null,
+        gross_kg: div.querySelector('input[name="gross_kg"]').value.trim() || null,
         pkgs: parseInt(div.querySelector('input[name="pkgs"]').value || 0) || null,
         packaging: div.querySelector('input[name="packaging"]').value || null,
         pallets: parseInt(div.querySelector('input[name="pallets"]').value || 0) || null
@@ -1390,39 +4709,188 @@ function collectForm(){
   };
 }
 
-// Comments
-document.addEventListener("click", async function(e){
+// Comments: per-field threads in a side panel next to the input
+var threadPanel = $("#threadPanel");
+var threadField = null, threadAnchor = null, lastComments = [];
+
+document.addEventListener("click", function(e){
   const btn = e.target.closest(".cm");
   if (!btn) return;
   if (!currentDraftId) { alert("Drop a PDF first to create a draft."); return; }
-  const field = btn.getAttribute("data-field");
-  const msg = prompt("Add a comment for “" + field + "”:");
-  if (!msg) return;
+  threadField = btn.getAttribute("data-field");
+  threadAnchor = btn;
+  renderThreads();
+  refreshCommentCounts().catch(console.error);
+});
+
+function renderThreads(){
+  if (!threadField) { threadPanel.style.display = "none"; return; }
+  var roots = lastComments.filter(function(c){ return !c.parent_id && c.field_name === threadField; });
+  var h = '<header><strong>' + esc(threadField) + '</strong><button class="btn-link" type="button" data-act="close">Close</button></header>';
+  if (!roots.length) h += '<div class="muted" style="font-size:13px">No comments yet.</div>';
+  roots.forEach(function(root){
+    var resolved = root.status === "resolved";
+    var line = function(c){
+      return '<div>' + esc(c.message) + '</div><div class="cmeta">' + esc(c.author || "anonymous") + ' · v' + c.version_no + ' · ' + esc(c.created_at.slice(0,16).replace("T"," ")) + '</div>';
+    };
+    h += '<div class="thread' + (resolved ? ' resolved' : '') + '">' + line(root);
+    lastComments.filter(function(c){ return c.parent_id === root.id; }).forEach(function(r){ h += '<div class="reply">' + line(r) + '</div>'; });
+    h += '<div class="toolbar" style="margin-top:4px">'
+      + (resolved
+          ? '<span class="cmeta">Resolved' + (root.resolved_by ? ' by ' + esc(root.resolved_by) : '') + '</span><button class="btn-link" type="button" data-act="reopen" data-id="' + root.id + '">Reopen</button>'
+          : '<button class="btn-link" type="button" data-act="resolve" data-id="' + root.id + '">Resolve</button>')
+      + '</div>'
+      + '<textarea data-reply="' + root.id + '" placeholder="Reply…"></textarea>'
+      + '<button class="btn-link" type="button" data-act="reply" data-id="' + root.id + '">Reply</button>'
+      + '</div>';
+  });
+  h += '<div class="thread"><textarea id="newComment" placeholder="New comment…"></textarea>'
+    + '<button class="btn" type="button" data-act="new" style="margin-top:6px">Add comment</button></div>';
+  threadPanel.innerHTML = h;
+
+  var rect = threadAnchor.getBoundingClientRect();
+  var box = $(".container").getBoundingClientRect();
+  threadPanel.style.display = "";
+  threadPanel.style.top = (rect.top + window.scrollY - 8) + "px";
+  threadPanel.style.left = (Math.max(8, Math.min(box.right + 12, window.innerWidth - 352)) + window.scrollX) + "px";
+}
+
+threadPanel.addEventListener("click", async function(e){
+  var b = e.target.closest("[data-act]");
+  if (!b) return;
+  var act = b.getAttribute("data-act"), cid = b.getAttribute("data-id");
+  if (act === "close") { threadField = null; renderThreads(); return; }
   try {
-    const r = await fetch("/api/draft/" + currentDraftId + "/comment", {
-      method:"POST",
-      headers:{ "Content-Type":"application/json" },
-      body: JSON.stringify({ field_name: field, message: msg, author: "" })
-    });
+    var r;
+    if (act === "new" || act === "reply") {
+      var ta = act === "new" ? $("#newComment") : threadPanel.querySelector('textarea[data-reply="' + cid + '"]');
+      var msg = (ta.value || "").trim();
+      if (!msg) return;
+      r = await fetch("/api/draft/" + currentDraftId + "/comment", {
+        method:"POST",
+        headers:{ "Content-Type":"application/json" },
+        body: JSON.stringify(act === "new" ? { field_name: threadField, message: msg } : { parent_id: cid, message: msg })
+      });
+    } else {
+      r = await fetch("/api/comment/" + cid + "/" + act, {
+        method:"POST", headers:{ "Content-Type":"application/json" }, body: "{}"
+      });
+    }
     if (!r.ok) throw new Error((await r.json()).error || "Comment failed");
     await refreshCommentCounts();
+    loadHistory().catch(console.error);
   } catch(err) {
-    alert("Failed to add comment: " + err.message);
+    alert("Comment action failed: " + err.message);
+  }
+});
+
+async function refreshCommentCounts(){
+  if (!currentDraftId) return;
+  const r = await fetch("/api/draft/" + currentDraftId);
+  if (!r.ok) return;
+  const js = await r.json();
+  lastComments = js.comments || [];
+  const open = {}, done = {};
+  lastComments.forEach(c => {
+    if (c.parent_id) return;
+    var bucket = c.status === "resolved" ? done : open;
+    bucket[c.field_name] = (bucket[c.field_name] || 0) + 1;
+  });
+  document.querySelectorAll(".count").forEach(el => el.textContent = "");
+  Object.keys(Object.assign({}, open, done)).forEach(k => {
+    var el = document.getElementById("cnt_" + k);
+    if (!el) return;
+    el.textContent = [open[k] ? open[k] + " open" : "", done[k] ? done[k] + " resolved" : ""].filter(Boolean).join(" · ");
+  });
+  if (threadField) renderThreads();
+}
+
+// Diff panel
+function esc(s){ return String(s == null ? "" : s).replace(/[&<>"]/g, function(c){ return { "&":"&amp;", "<":"&lt;", ">":"&gt;", '"':"&quot;" }[c]; }); }
+function diffText(v){ return v == null ? "" : (typeof v === "object" ? JSON.stringify(v, null, 1) : String(v)); }
+
+async function loadDiff(from, to){
+  if (!currentDraftId) return;
+  var q = (from ? "from=" + encodeURIComponent(from) + "&" : "") + (to ? "to=" + encodeURIComponent(to) : "");
+  const r = await fetch("/api/draft/" + currentDraftId + "/diff?" + q);
+  const js = await r.json();
+  document.getElementById("diffCard").style.display = "";
+  var out = document.getElementById("diffOut");
+  if (!r.ok) { out.innerHTML = '<div class="status err">' + esc(js.error) + '</div>'; return; }
+  ["diffFrom", "diffTo"].forEach(function(id){
+    var sel = document.getElementById(id), want = id === "diffFrom" ? js.from : js.to;
+    sel.innerHTML = js.sources.map(function(k){ return '<option' + (k === want ? ' selected' : '') + '>' + esc(k) + '</option>'; }).join("");
+  });
+  if (!js.changes.length) { out.innerHTML = '<div class="muted">No differences.</div>'; return; }
+  var h = '<table class="diff"><thead><tr><th>Field</th><th>Change</th><th>' + esc(js.from) + '</th><th>' + esc(js.to) + '</th></tr></thead><tbody>';
+  js.changes.forEach(function(c){
+    h += '<tr><td>' + esc(c.field) + '</td><td class="' + c.change + '">' + c.change + '</td>'
+      + '<td>' + esc(diffText(c.old)) + '</td><td>' + esc(diffText(c.new)) + '</td></tr>';
+  });
+  out.innerHTML = h + '</tbody></table>';
+}
+document.getElementById("diffBtn").addEventListener("click", function(){
+  loadDiff($("#diffFrom").value, $("#diffTo").value).catch(console.error);
+});
+
+// Reopen a frozen shipment in the form (read-only: save/freeze stay disabled)
+async function openShipment(id){
+  try {
+    const r = await fetch("/api/shipment/" + id);
+    const js = await r.json();
+    if (!r.ok) throw new Error(js.error || ("Load failed (" + r.status + ")"));
+    fillForm(js);
+    currentShipmentId = js.id;
+    setDraft(js.draft_id || null, null, "frozen");
+    if (js.draft_id) {
+      const dr = await fetch("/api/draft/" + js.draft_id);
+      if (dr.ok) { const dj = await dr.json(); setDraft(dj.id, dj.version_no, dj.status); }
+    }
+    enableBtn("saveDraftBtn", false);
+    enableBtn("attachBtn", false);
+    enableBtn("freezeBtn", false);
+    enableBtn("sendMailBtn", true);
+    $("#sourceLink").hidden = !(js.documents || []).length;
+    $("#sourceLink").href = "/api/shipment/" + js.id + "/source.pdf";
+    loadHistory().catch(console.error);
+    statusEl.textContent = "Shipment " + (js.shipment_no || js.id) + " (frozen) loaded.";
+    statusEl.className = "status ok";
+    window.scrollTo(0, 0);
+  } catch (e) {
+    statusEl.textContent = "Open error: " + e.message;
+    statusEl.className = "status err";
   }
+}
+document.addEventListener("click", function(e){
+  var a = e.target.closest("[data-open]");
+  if (!a) return;
+  e.preventDefault();
+  openShipment(a.getAttribute("data-open"));
 });
 
-async function refreshCommentCounts(){
-  if (!currentDraftId) return;
-  const r = await fetch("/api/draft/" + currentDraftId);
+// History (audit timeline)
+async function loadHistory(){
+  var q = currentDraftId ? "entity=draft&id=" + currentDraftId : currentShipmentId ? "entity=shipment&id=" + currentShipmentId : "";
+  if (!q) return;
+  const r = await fetch("/api/audit?" + q);
+  const rows = await r.json();
   if (!r.ok) return;
-  const js = await r.json();
-  const counts = {};
-  (js.comments || []).forEach(c => { counts[c.field_name] = (counts[c.field_name] || 0) + 1; });
-  document.querySelectorAll(".count").forEach(el => el.textContent = "");
-  Object.keys(counts).forEach(k => {
-    var el = document.getElementById("cnt_" + k);
-    if (el) el.textContent = counts[k] + " comment" + (counts[k] > 1 ? "s" : "");
+  document.getElementById("historyCard").style.display = "";
+  var h = '<table class="timeline"><thead><tr><th>When</th><th>Who</th><th>What</th><th>Details</th></tr></thead><tbody>';
+  rows.slice().reverse().forEach(function(a){
+    var d = a.detail || {}, bits = [];
+    if (d.version_no) bits.push("v" + d.version_no);
+    if (d.field_name) bits.push(esc(d.field_name) + (d.message ? ": " + esc(d.message) : ""));
+    if (d.reason) bits.push("reason: " + esc(d.reason));
+    if (d.status && a.action === "email_send") bits.push(esc(d.status) + (d.to ? " → " + esc([].concat(d.to).join(", ")) : "") + (d.error ? " (" + esc(d.error) + ")" : ""));
+    var ch = (a.changes || []).slice(0, 12).map(function(c){
+      return '<li>' + esc(c.field) + ': ' + esc(diffText(c.old)) + ' → ' + esc(diffText(c.new)) + '</li>';
+    }).join("");
+    if ((a.changes || []).length > 12) ch += '<li class="muted">… ' + (a.changes.length - 12) + ' more</li>';
+    h += '<tr><td>' + esc(a.created_at.slice(0,19).replace("T"," ")) + '</td><td>' + esc(a.actor || "system") + '</td>'
+      + '<td>' + esc(a.action) + '</td><td>' + bits.join(" · ") + (ch ? '<ul>' + ch + '</ul>' : '') + '</td></tr>';
   });
+  document.getElementById("historyOut").innerHTML = h + '</tbody></table>';
 }
 
 async function loadRecent(){
@@ -1438,7 +4906,10 @@ async function loadRecent(){
         + '<td>' + (s.order_no||'') + '</td>'
         + '<td>' + consignee + '</td>'
         + '<td>' + (s.total_net_kg||'') + '</td>'
-        + '<td><a href="/api/shipment/' + s.id + '" target="_blank" rel="noopener">View</a></td>'
+        + '<td><a href="#" data-open="' + s.id + '">Open</a>'
+        +     ' · <a href="/api/shipment/' + s.id + '" target="_blank" rel="noopener">View</a>'
+        +     ' · <a href="/api/shipment/' + s.id + '/letter.pdf" target="_blank" rel="noopener">Letter</a>'
+        +     ' · <a href="/api/shipment/' + s.id + '/golden.zip" title="Download as parser test fixture">Fixture</a></td>'
         + '</tr>';
     });
     h += '</tbody></table>';
@@ -1458,87 +4929,679 @@ loadRecent();
 
 
 // ---------- API ----------
+// Registered document templates (id, name, detection anchors)
+app.get("/api/templates", (_req, res) => {
+  res.json([...TEMPLATES.values()].map(t => ({
+    ...templateInfo(t), anchors: t.anchors.map(re => re.source), min_score: t.minScore, item_patterns: t.itemPatterns.length
+  })));
+});
+
 app.get("/api/health", (_req, res) => {
-  res.json({ ok: true, time: new Date().toISOString(), db: DB_PATH, openai: !!useOpenAI });
+  res.json({ ok: true, time: new Date().toISOString(), db: DB_PATH, openai: !!llm && llm.name === "openai", llm: llm ? llm.name + ":" + llm.model : null, smtp: !!process.env.SMTP_HOST });
 });
 
-/**
- * Upload: extract text → parse → (optional OpenAI refine) → create/find Draft v1
- */
-app.post("/api/upload", upload.single("file"), async (req, res) => {
-  try {
-    if (!req.file) return res.status(400).json({ error: "No file uploaded" });
+// Accounts & sessions
+app.post("/api/login", (req, res) => {
+  const { username, password } = req.body || {};
+  const u = db.prepare("SELECT * FROM users WHERE username = ? AND disabled = 0").get(String(username || "").trim());
+  const ok = checkPassword(password || "", u ? u.password_hash : DUMMY_PASSWORD_HASH);
+  if (!u || !ok) return res.status(401).json({ error: "Invalid username or password" });
+  const now = new Date();
+  db.prepare("DELETE FROM sessions WHERE expires_at < ?").run(now.toISOString());
+  const token = crypto.randomBytes(32).toString("base64url");
+  const maxAge = Math.round(SESSION_TTL_HOURS * 3600);
+  db.prepare("INSERT INTO sessions (token_hash, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)")
+    .run(sha256(token), u.id, now.toISOString(), new Date(now.getTime() + maxAge * 1000).toISOString());
+  res.setHeader("Set-Cookie", `sid=${token}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}` + (req.secure ? "; Secure" : ""));
+  res.json({ ok: true, user: publicUser(u) });
+});
+
+app.post("/api/logout", (req, res) => {
+  const sid = readCookie(req, "sid");
+  if (sid) db.prepare("DELETE FROM sessions WHERE token_hash = ?").run(sha256(sid));
+  res.setHeader("Set-Cookie", "sid=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0");
+  res.json({ ok: true });
+});
+
+app.get("/api/me", (req, res) => res.json(req.user));
+
+app.post("/api/me/password", (req, res) => {
+  const { current, password } = req.body || {};
+  const u = db.prepare("SELECT * FROM users WHERE id = ?").get(req.user.id);
+  if (!checkPassword(current || "", u.password_hash)) return res.status(403).json({ error: "Current password is wrong" });
+  if (String(password || "").length < 8) return res.status(400).json({ error: "Password must have at least 8 characters" });
+  db.transaction(() => {
+    db.prepare("UPDATE users SET password_hash = ? WHERE id = ?").run(hashPassword(password), u.id);
+    audit(req, "password_change", "user", u.id);
+  })();
+  res.json({ ok: true });
+});
+
+app.get("/api/users", requireRole("admin"), (_req, res) => {
+  res.json(db.prepare("SELECT * FROM users ORDER BY username").all().map(u => ({ ...publicUser(u), disabled: !!u.disabled, created_at: u.created_at })));
+});
+
+app.post("/api/users", requireRole("admin"), (req, res) => {
+  const { username, password, roles, display_name } = req.body || {};
+  if (!username || String(password || "").length < 8) return res.status(400).json({ error: "username and a password of at least 8 characters are required" });
+  if (db.prepare("SELECT 1 FROM users WHERE username = ?").get(String(username).trim())) return res.status(409).json({ error: "Username taken" });
+  const u = db.transaction(() => {
+    const created = createUser({ username, password, roles, display_name });
+    audit(req, "user_create", "user", created.id, { detail: publicUser(created) });
+    return created;
+  })();
+  res.json(publicUser(u));
+});
+
+app.post("/api/users/:id", requireRole("admin"), (req, res) => {
+  const u = db.prepare("SELECT * FROM users WHERE id = ?").get(req.params.id);
+  if (!u) return res.status(404).json({ error: "User not found" });
+  const { roles, password, display_name, disabled } = req.body || {};
+  if (password !== undefined && String(password).length < 8) return res.status(400).json({ error: "Password must have at least 8 characters" });
+  const after = db.transaction(() => {
+    db.prepare("UPDATE users SET roles = ?, display_name = ?, disabled = ?, password_hash = ? WHERE id = ?").run(
+      roles !== undefined ? parseRoles(roles).join(",") : u.roles,
+      display_name !== undefined ? String(display_name) : u.display_name,
+      disabled !== undefined ? (disabled ? 1 : 0) : u.disabled,
+      password !== undefined ? hashPassword(password) : u.password_hash,
+      u.id
+    );
+    if (disabled) db.prepare("DELETE FROM sessions WHERE user_id = ?").run(u.id);
+    const row = db.prepare("SELECT * FROM users WHERE id = ?").get(u.id);
+    const changes = diffFields(
+      { roles: u.roles, display_name: u.display_name, disabled: u.disabled },
+      { roles: row.roles, display_name: row.display_name, disabled: row.disabled }
+    );
+    if (password !== undefined) changes.push({ field: "password", change: "changed", old: "***", new: "***" });
+    audit(req, "user_update", "user", u.id, { detail: { username: u.username }, changes });
+    return row;
+  })();
+  res.json(publicUser(after));
+});
+
+// API tokens (Authorization: Bearer …) for scripts; plaintext is only returned once
+app.get("/api/tokens", (req, res) => {
+  const all = req.user.roles.includes("admin") && req.query.all;
+  const rows = db.prepare(`
+    SELECT t.id, t.name, t.created_at, t.last_used_at, t.revoked_at, u.username
+    FROM api_tokens t JOIN users u ON u.id = t.user_id
+    ${all ? "" : "WHERE t.user_id = ?"} ORDER BY datetime(t.created_at) DESC
+  `).all(...(all ? [] : [req.user.id]));
+  res.json(rows);
+});
+
+app.post("/api/tokens", (req, res) => {
+  const { name, user_id } = req.body || {};
+  const owner = user_id && user_id !== req.user.id ? user_id : req.user.id;
+  if (owner !== req.user.id && !req.user.roles.includes("admin")) return res.status(403).json({ error: "Requires role: admin" });
+  if (!db.prepare("SELECT 1 FROM users WHERE id = ?").get(owner)) return res.status(404).json({ error: "User not found" });
+  const token = "cat_" + crypto.randomBytes(24).toString("base64url");
+  const id = nanoid();
+  db.transaction(() => {
+    db.prepare("INSERT INTO api_tokens (id, user_id, name, token_hash, created_at) VALUES (?, ?, ?, ?, ?)")
+      .run(id, owner, String(name || "api"), sha256(token), new Date().toISOString());
+    audit(req, "token_create", "token", id, { detail: { name: String(name || "api"), user_id: owner } });
+  })();
+  res.json({ id, name: String(name || "api"), token });
+});
 
-    const hash = crypto.createHash("sha256").update(req.file.buffer).digest("hex");
+app.post("/api/tokens/:id/revoke", (req, res) => {
+  const t = db.prepare("SELECT * FROM api_tokens WHERE id = ?").get(req.params.id);
+  if (!t) return res.status(404).json({ error: "Token not found" });
+  if (t.user_id !== req.user.id && !req.user.roles.includes("admin")) return res.status(403).json({ error: "Requires role: admin" });
+  db.transaction(() => {
+    db.prepare("UPDATE api_tokens SET revoked_at = COALESCE(revoked_at, ?) WHERE id = ?").run(new Date().toISOString(), t.id);
+    audit(req, "token_revoke", "token", t.id, { detail: { name: t.name, user_id: t.user_id } });
+  })();
+  res.json({ ok: true });
+});
 
-    // Extract best text
-    const textBest = await extractTextFromBuffer(req.file.buffer);
-    if (!textBest || !textBest.trim()) {
-      return res.status(422).json({ error: "Unable to extract text" });
+/*
+ * One PDF may hold several carrier notifications back to back. Pages are grouped by
+ * their Shipment No (pages without one continue the current shipment); without page
+ * geometry the text is cut where the template's heading repeats. Returns one segment
+ * per shipment: { text, pages, shipment_no, from, to } (page or section numbers, 1-based).
+ */
+function splitShipments(text, pages, tpl = GENERIC_TEMPLATE) {
+  const shipNo = t => stripPrefix(grabNear(/Shipment\s*No\b/i, /([0-9]{4,}[0-9A-Za-z\-]*)/, t, 120));
+  const whole = [{ text, pages, shipment_no: shipNo(text), from: 1, to: Math.max(1, pages.length) }];
+  let chunks = pages.length > 1 ? pages.map(p => ({ text: layoutText([p]), pages: [p] })) : [];
+  if (!chunks.length) {
+    const starts = matchAll(new RegExp(tpl.blocks.carrier_to.label.source, "gi"), text).map(m => text.lastIndexOf("\n", m.index) + 1);
+    if (starts.length < 2) return whole;
+    starts[0] = 0;
+    chunks = starts.map((s, i) => ({ text: text.slice(s, starts[i + 1] ?? text.length), pages: [] }));
+  }
+  const groups = [];
+  chunks.forEach((c, i) => {
+    const no = shipNo(c.text);
+    const cur = groups[groups.length - 1];
+    if (cur && (!no || !cur.shipment_no || no === cur.shipment_no)) {
+      cur.texts.push(c.text); cur.pages.push(...c.pages); cur.to = i + 1;
+      cur.shipment_no = cur.shipment_no || no;
+    } else {
+      groups.push({ shipment_no: no, texts: [c.text], pages: [...c.pages], from: i + 1, to: i + 1 });
     }
+  });
+  if (groups.length < 2) return whole;
+  return groups.map(g => ({ text: g.texts.join("\n\f"), pages: g.pages, shipment_no: g.shipment_no, from: g.from, to: g.to }));
+}
 
-    // Build alternates for model reconciliation (classic layout + pdf-parse)
-    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "carrier-"));
-    const pdfPath = path.join(tmp, "input.pdf"); fs.writeFileSync(pdfPath, req.file.buffer);
-    const run = (cmd, args) => new Promise((res) => execFile(cmd, args, { maxBuffer: 50 * 1024 * 1024 }, (err, out) => res(err ? "" : out.toString("utf8"))));
-    const pClassic = run("pdftotext", ["-layout", "-nopgbrk", "-q", pdfPath, "-"]);
-    const pParsed  = (async () => { try { const a = await pdfParse(req.file.buffer); return a?.text || ""; } catch { return ""; } })();
+/**
+ * Extract → split into shipments → parse each (+ optional LLM refine) → score.
+ * Shared by uploads and by documents attached to an existing draft. Errors carry .status.
+ */
+async function extractFields(file, { hash, forced }, progress = () => {}) {
+  // Extract best text (+ word layout)
+  const { text: textBest, pages, ocrPages, source, pageCount } = await extractDocument(file.buffer, progress);
+  if (hash && pageCount) db.prepare("UPDATE documents SET page_count = ? WHERE hash = ?").run(pageCount, hash);
+  if (!textBest || !textBest.trim()) {
+    throw Object.assign(new Error("Unable to extract text"), { status: 422 });
+  }
 
-    const [altClassic, altParsed] = await Promise.all([pClassic, pParsed]);
-    const alternates = { pdfParse: altParsed, pdftotext: altClassic, ocr: "" };
+  // Build alternates for model reconciliation (classic layout + pdf-parse)
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "carrier-"));
+  const pdfPath = path.join(tmp, "input.pdf"); fs.writeFileSync(pdfPath, file.buffer);
+  const run = (cmd, args) => new Promise((res) => execFile(cmd, args, { maxBuffer: 50 * 1024 * 1024 }, (err, out) => res(err ? "" : out.toString("utf8"))));
+  const pClassic = run("pdftotext", ["-layout", "-nopgbrk", "-q", pdfPath, "-"]);
+  const pParsed  = (async () => { try { const a = await pdfParse(file.buffer); return a?.text || ""; } catch { return ""; } })();
+
+  const [altClassic, altParsed] = await Promise.all([pClassic, pParsed]);
+  const alternates = { pdfParse: altParsed, pdftotext: altClassic, ocr: "" };
+
+  // Deterministic parse first, with the detected (or requested) document template
+  progress({ stage: "parse" });
+  const detected = forced ? { template: TEMPLATES.get(forced), score: null } : detectTemplate(clean(textBest));
+  const template = templateInfo(detected.template, detected.score);
+  const layout = pages.some(p => p.words.length) ? pages : ocrPages;
+  if (hash && layout.length) {
+    // word boxes for review; page.words is rebuilt from the blocks on load
+    db.prepare("UPDATE documents SET layout_json = ? WHERE hash = ?")
+      .run(JSON.stringify({ source: layout === pages ? "pdftotext" : "ocr", pages: layout.map(({ words, ...p }) => p) }), hash);
+  }
+  const segments = splitShipments(textBest, layout, detected.template);
 
-    // Deterministic parse first
-    const seedFields = parseFieldsFromText(textBest);
+  for (const seg of segments) {
+    seg.seedFields = normalizeFields(parseFieldsFromText(seg.text, detected.template, seg.pages));
 
-    // Optional OpenAI refinement
-    let llmJson = null;
-    let finalFields = seedFields;
+    // Optional LLM refinement
+    seg.llmJson = seg.llmRaw = seg.altJson = null;
+    let finalFields = seg.seedFields;
     let evidence = [];
-    if (useOpenAI && OpenAI) {
+    if (llm) {
+      const n = segments.indexOf(seg) + 1;
+      progress({ stage: "llm", segment: n, segments: segments.length });
       try {
-        const refined = await openaiExtract({ textBest, alternates, seedFields });
-        evidence = Array.isArray(refined.evidence) ? refined.evidence : [];
-        delete refined.evidence;
-        finalFields = refined;
-        llmJson = JSON.stringify({ ...refined, evidence }, null, 2);
+        // the alternates cover the whole file, so a split segment goes without them
+        const segAlternates = segments.length > 1 ? {} : alternates;
+        const refined = await llmExtract({
+          textBest: seg.text, alternates: segAlternates, seedFields: seg.seedFields,
+          ref: { doc_hash: hash, key: segments.length > 1 ? hash + ":" + n : hash }
+        });
+        evidence = refined.evidence;
+        finalFields = refined.fields;
+        seg.llmJson = JSON.stringify({ ...refined.fields, evidence }, null, 2);
+        seg.llmRaw = JSON.stringify(refined.raw);
+        seg.altJson = JSON.stringify(segAlternates);
       } catch (e) {
         console.error("LLM extraction failed; falling back to regex parse:", e);
       }
     }
 
-    // Score
-    const { score, warnings } = validateAndScore(finalFields);
-    finalFields.confidence = Math.min(100, score + Math.min(10, Math.floor((evidence.length || 0) / 5)));
-    finalFields.warnings = warnings;
-    finalFields.evidence = evidence;
+    seg.fields = finishFields(finalFields, { evidence, template, text: seg.text, ocrPages: source === "ocr" ? (seg.pages.length ? seg.pages : ocrPages) : null });
+  }
+  return { segments, template };
+}
 
-    // Create or reuse Draft v1 for this hash
-    let draft = db.prepare("SELECT * FROM drafts WHERE base_hash = ? AND version_no = 1").get(hash);
-    const now = new Date().toISOString();
-    if (!draft) {
-      const id = nanoid();
-      db.prepare(`INSERT INTO drafts (id, base_hash, version_no, status, data_json, created_at, updated_at)
-                  VALUES (?, ?, 1, 'draft', ?, ?, ?)`)
-        .run(id, hash, JSON.stringify(finalFields), now, now);
-      draft = { id, base_hash: hash, version_no: 1, status: "draft" };
-    } else {
-      db.prepare(`UPDATE drafts SET data_json = ?, updated_at = ? WHERE id = ?`)
-        .run(JSON.stringify(finalFields), now, draft.id);
+// Score (fields read from OCR text carry their word confidences), match parties and attach evidence + template
+function finishFields(fields, { evidence = [], template, ocrPages = null, text = "" }) {
+  fields = normalizeFields(fields);
+  if (text && !present(fields.carrier_to)) fields.carrier_to = bookCarrier(text);
+  fields.party_matches = matchParties(fields);
+  if (ocrPages) fields.field_confidence = fieldConfidence(fields, ocrPages);
+  fields.field_provenance = { ...seedProvenance(fields), ...(fields.field_provenance || {}) };
+  const { score, issues } = validateFields(fields);
+  const verified = evidence.filter(e => e.verified !== false).length;
+  fields.confidence = Math.min(100, score + Math.min(10, Math.floor(verified / 5)));
+  for (const u of fields.reconciliation?.unsupported || []) {
+    issues.push({ rule: "reconciliation", severity: "warning", field: u.field, message: `${u.field}: model value "${u.value}" not found in the document (ignored)` });
+  }
+  for (const d of fields.reconciliation?.disagreements || []) {
+    if (d.policy !== "agree") continue;
+    issues.push({ rule: "reconciliation", severity: "warning", field: d.field, message: present(d.regex)
+      ? `${d.field}: parser "${d.regex}" and model "${d.llm}" disagree — left empty`
+      : `${d.field}: only the model found "${d.llm}" — left empty` });
+  }
+  fields.issues = issues;
+  fields.warnings = issues.filter(i => i.severity !== "info").map(i => i.message);
+  fields.evidence = evidence;
+  fields.template = template;
+  return fields;
+}
+
+/**
+ * A document extracted before, rebuilt from its cache rows (one per shipment) without
+ * running text extraction/OCR again. Null unless every row was parsed by the current
+ * PARSER_VERSION (and with the requested template).
+ */
+function cachedSegments(hash, forced) {
+  const rows = db.prepare("SELECT * FROM cache WHERE doc_hash = ?").all(hash);
+  if (!rows.length || rows.some(r => r.parser_version !== PARSER_VERSION || (forced && r.template !== forced))) return null;
+  const layout = storedLayout(hash);
+  const part = r => +(r.hash.split(":")[1] || 0);
+  return rows.sort((a, b) => part(a) - part(b)).map(r => {
+    const nums = pageNumbers(r.pages, 1);
+    const seedFields = JSON.parse(r.parsed || "{}");
+    const { fields, evidence } = cachedModelFields(r, seedFields);
+    const tpl = TEMPLATES.get(r.template) || GENERIC_TEMPLATE;
+    const ocrPages = layout && layout.source === "ocr" ? layout.pages.filter(p => !r.pages || nums.includes(p.page)) : null;
+    return {
+      key: r.hash, text: r.text, seedFields, llmJson: r.llm_json, llmRaw: r.llm_raw, shipment_no: seedFields.shipment_no,
+      from: nums[0], to: nums[nums.length - 1],
+      fields: finishFields(fields, { evidence, template: templateInfo(tpl, null), text: r.text, ocrPages })
+    };
+  });
+}
+
+// every value not attributed otherwise came from the regex parser
+function seedProvenance(fields) {
+  return Object.fromEntries(Object.entries(fields)
+    .filter(([k, v]) => !CONF_SKIP.has(k) && k !== "extras" && (k === "items" ? (v || []).length : present(v) && typeof v !== "object"))
+    .map(([k]) => [k, "regex"]));
+}
+
+/*
+ * Cached model output reconciled again with a (new) seed, verified against the same texts
+ * as at extraction (alt_json keeps the alternates). Rows from before llm_raw hold the merged fields.
+ */
+function cachedModelFields(row, seed) {
+  if (!row.llm_json) return { fields: { ...seed }, evidence: [] };
+  const { evidence = [], ...llmFields } = JSON.parse(row.llm_raw || row.llm_json);
+  const alternates = JSON.parse(row.alt_json || "{}");
+  return reconcileFields(seed, llmFields, evidence, [row.text, alternates.pdfParse, alternates.pdftotext, alternates.ocr]);
+}
+
+const pageRange = seg => (seg.from === seg.to ? String(seg.from) : seg.from + "-" + seg.to);
+
+/**
+ * Extraction job for one uploaded PDF: one Draft v1 per shipment found in it. A re-upload
+ * returns the latest versions instead. Drafts split from one file share doc_hash and get
+ * "<hash>:<n>" as lineage key. The result is the first draft, plus `drafts` when split.
+ */
+async function extractUpload(req, file, { hash, forced, nocache }, progress = () => {}) {
+  let segments = nocache ? null : cachedSegments(hash, forced);
+  const cached = !!segments;
+  if (cached) progress({ stage: "cache" });
+  else segments = (await extractFields(file, { hash, forced }, progress)).segments;
+  const split = segments.length > 1;
+  const now = new Date().toISOString();
+
+  // Cache raw parse + LLM json per shipment, replacing an earlier extraction of the file
+  if (!cached) {
+    db.transaction(() => {
+      db.prepare("DELETE FROM cache WHERE doc_hash = ?").run(hash);
+      segments.forEach((seg, i) => {
+        db.prepare(`INSERT OR REPLACE INTO cache (hash, text, parsed, created_at, llm_json, llm_raw, alt_json, template, parser_version, doc_hash, pages)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+          .run(split ? hash + ":" + (i + 1) : hash, seg.text, JSON.stringify(seg.seedFields), now, seg.llmJson, seg.llmRaw, seg.altJson,
+               seg.fields.template.id, PARSER_VERSION, hash, split ? pageRange(seg) : null);
+      });
+    })();
+  }
+
+  const results = segments.map((seg, i) => {
+    const key = split ? hash + ":" + (i + 1) : hash;
+    const finalFields = seg.fields;
+
+    // Re-upload of a known document: return its current version, never overwrite reviewed data
+    const latest = latestDraft(key);
+    if (latest) {
+      const data = JSON.parse(latest.data_json || "{}");
+      const check = validateFields(data);
+      audit(req, "upload", "draft", latest.id, {
+        doc_hash: key, detail: { file_name: file.originalname, size: file.size, reused: true, cached, version_no: latest.version_no }
+      });
+      return {
+        ...data,
+        confidence: data.confidence ?? check.score,
+        warnings: check.warnings,
+        issues: check.issues,
+        evidence: data.evidence || finalFields.evidence,
+        template: data.template || finalFields.template,
+        draft_id: latest.id, version_no: latest.version_no, status: latest.status, reused: true
+      };
+    }
+
+    const id = nanoid();
+    const pages = split ? pageRange(seg) : null;
+    db.transaction(() => {
+      db.prepare(`INSERT INTO drafts (id, base_hash, version_no, status, data_json, created_at, updated_at, author, doc_hash, doc_pages)
+                  VALUES (?, ?, 1, 'draft', ?, ?, ?, ?, ?, ?)`)
+        .run(id, key, JSON.stringify(finalFields), now, now, actor(req), hash, pages);
+      db.prepare(`INSERT INTO draft_documents (id, base_hash, doc_hash, file_name, role, pages, added_by, added_at)
+                  VALUES (?, ?, ?, ?, 'primary', ?, ?, ?)`)
+        .run(nanoid(), key, hash, file.originalname || "input.pdf", pages, actor(req), now);
+      audit(req, "upload", "draft", id, {
+        doc_hash: key,
+        detail: { file_name: file.originalname, size: file.size, version_no: 1, confidence: finalFields.confidence, ...(split ? { pages, split_of: segments.length } : {}) },
+        changes: diffFields({}, finalFields)
+      });
+    })();
+
+    return { ...finalFields, draft_id: id, version_no: 1, status: "draft" };
+  });
+
+  if (!split) return results[0];
+  return {
+    ...results[0],
+    drafts: results.map((r, i) => ({
+      draft_id: r.draft_id, version_no: r.version_no, status: r.status, reused: !!r.reused, shipment_no: r.shipment_no,
+      pages: pageRange(segments[i]), confidence: r.confidence, warnings: r.warnings
+    }))
+  };
+}
+
+/*
+ * Merge the fields of an additional document into a draft: empty fields are filled and
+ * attributed to that document in `field_sources`; values that differ are left alone and
+ * reported as conflicts. Items are only taken over when the draft has none.
+ */
+const MERGE_SKIP = new Set([...DIFF_SKIP, "signature_name", "signature_date", "field_sources", "extras"]);
+function mergeFields(target, incoming, source) {
+  const merged = { ...target, field_sources: { ...(target.field_sources || {}) }, field_provenance: { ...(target.field_provenance || {}) } };
+  const provenance = k => { if (incoming.field_provenance?.[k]) merged.field_provenance[k] = incoming.field_provenance[k]; };
+  const filled = [], conflicts = [];
+  const empty = v => v === null || v === undefined || String(v).trim() === "";
+  for (const [k, v] of Object.entries(incoming)) {
+    if (MERGE_SKIP.has(k) || k === "items" || empty(v)) continue;
+    if (empty(target[k])) {
+      merged[k] = v; merged.field_sources[k] = source; provenance(k); filled.push(k);
+    } else if (diffVal(target[k]) !== diffVal(v)) {
+      conflicts.push({ field: k, draft: target[k], document: v });
+    }
+  }
+  if (!(target.items || []).length && (incoming.items || []).length) {
+    merged.items = incoming.items; merged.field_sources.items = source; provenance("items"); filled.push("items");
+  }
+  return { merged, filled, conflicts };
+}
+
+async function attachDocument(req, draftId, file, { hash, forced }, progress = () => {}) {
+  const { segments } = await extractFields(file, { hash, forced }, progress);
+  const d = db.prepare("SELECT * FROM drafts WHERE id = ?").get(draftId);
+  const latest = d && latestDraft(d.base_hash);
+  if (!latest || latest.status !== "draft") throw Object.assign(new Error("Draft is frozen"), { status: 409 });
+
+  const current = JSON.parse(latest.data_json || "{}");
+  // a multi-shipment attachment contributes the part about this shipment
+  const seg = segments.find(s => s.shipment_no && s.shipment_no === current.shipment_no) || segments[0];
+  const source = { doc_hash: hash, file_name: file.originalname || "attachment.pdf", pages: segments.length > 1 ? pageRange(seg) : undefined };
+  const { merged, filled, conflicts } = mergeFields(current, seg.fields, source);
+  const check = validateFields(merged);
+  merged.confidence = check.score;
+  merged.warnings = check.warnings;
+  merged.issues = check.issues;
+
+  const newId = nanoid();
+  const now = new Date().toISOString();
+  db.transaction(() => {
+    db.prepare(`INSERT INTO draft_documents (id, base_hash, doc_hash, file_name, role, pages, added_by, added_at)
+                VALUES (?, ?, ?, ?, 'attached', ?, ?, ?)`)
+      .run(nanoid(), latest.base_hash, hash, source.file_name, source.pages || null, actor(req), now);
+    if (filled.length) {
+      db.prepare("UPDATE drafts SET status = 'superseded', updated_at = ? WHERE id = ?").run(now, latest.id);
+      db.prepare(`INSERT INTO drafts (id, base_hash, version_no, status, data_json, created_at, updated_at, author, doc_hash, doc_pages)
+                  VALUES (?, ?, ?, 'draft', ?, ?, ?, ?, ?, ?)`)
+        .run(newId, latest.base_hash, latest.version_no + 1, JSON.stringify(merged), now, now, actor(req), latest.doc_hash, latest.doc_pages);
+    }
+    audit(req, "attach", "draft", filled.length ? newId : latest.id, {
+      doc_hash: latest.base_hash,
+      detail: { file_name: source.file_name, attached_hash: hash, from_version: latest.version_no, filled, conflicts },
+      changes: diffFields(current, filled.length ? merged : current)
+    });
+  })();
+  return filled.length
+    ? { ...merged, draft_id: newId, version_no: latest.version_no + 1, status: "draft", filled, conflicts }
+    : { ...current, draft_id: latest.id, version_no: latest.version_no, status: latest.status, filled, conflicts };
+}
+
+// Store the PDF (keyed by content hash; the first upload names it) and queue its extraction job
+function storeDocument(req, file) {
+  const hash = crypto.createHash("sha256").update(file.buffer).digest("hex");
+  db.prepare("INSERT OR IGNORE INTO documents (hash, file_name, pdf, created_at, size, uploaded_by) VALUES (?, ?, ?, ?, ?, ?)")
+    .run(hash, file.originalname || "input.pdf", file.buffer, new Date().toISOString(), file.buffer.length, actor(req));
+  return hash;
+}
+function queueDocument(req, file, { forced, nocache, batchId } = {}) {
+  const hash = storeDocument(req, file);
+  return enqueueJob({ fileName: file.originalname, docHash: hash, author: actor(req), batchId },
+    progress => extractUpload(req, file, { hash, forced, nocache }, progress));
+}
+
+// 202 with the job id, or with ?wait=1 the job's result once it finished
+async function respondJob(req, res, job) {
+  if (req.query.wait === "1") {
+    const done = await job.finished;
+    if (done.status === "failed") {
+      const status = db.prepare("SELECT error_status FROM jobs WHERE id = ?").get(job.id).error_status || 500;
+      return res.status(status).json({ error: status === 500 ? "Server error: " + done.error : done.error, job_id: job.id });
     }
+    return res.json({ ...done.result, job_id: job.id });
+  }
+  res.status(202).json({ job_id: job.id, status: "queued", status_url: "/api/jobs/" + job.id, events_url: "/api/jobs/" + job.id + "/events" });
+}
 
-    // Cache raw parse + LLM json
-    db.prepare("INSERT OR REPLACE INTO cache (hash, text, parsed, created_at, llm_json) VALUES (?, ?, ?, ?, ?)")
-      .run(hash, textBest, JSON.stringify(seedFields), now, llmJson);
+/**
+ * Upload: store the document and queue its extraction job. Answers 202 with the job id
+ * right away; follow it via GET /api/jobs/:id (poll) or /api/jobs/:id/events (SSE).
+ * `?wait=1` answers with the draft once the job is done, as uploads used to.
+ * A file extracted before by the current parser comes from the cache; `?nocache=1` extracts it again.
+ */
+app.post("/api/upload", requireRole("uploader"), upload.single("file"), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: "No file uploaded" });
+    const forced = req.query.template || req.body?.template || "";
+    if (forced && !TEMPLATES.has(forced)) return res.status(400).json({ error: "Unknown template: " + forced });
 
-    res.json({ ...finalFields, draft_id: draft.id, version_no: draft.version_no, status: "draft" });
+    await respondJob(req, res, queueDocument(req, req.file, { forced, nocache: req.query.nocache === "1" }));
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error("Upload failed:", err);
     res.status(500).json({ error: "Server error: " + (err.message || "unknown") });
   }
 });
 
+/**
+ * Attach another document (order confirmation, delivery note…) to a draft: its fields
+ * fill the gaps of the latest version, attributed in `field_sources`. Runs as a job like uploads.
+ */
+app.post("/api/draft/:id/attach", requireRole("uploader", "reviewer", "approver"), upload.single("file"), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: "No file uploaded" });
+    const d = db.prepare("SELECT * FROM drafts WHERE id = ?").get(req.params.id);
+    if (!d) return res.status(404).json({ error: "Draft not found" });
+    if (latestDraft(d.base_hash).status !== "draft") return res.status(409).json({ error: "Draft is frozen" });
+    const forced = req.query.template || req.body?.template || "";
+    if (forced && !TEMPLATES.has(forced)) return res.status(400).json({ error: "Unknown template: " + forced });
+
+    const file = req.file;
+    const hash = storeDocument(req, file);
+    const job = enqueueJob({ fileName: file.originalname, docHash: hash, author: actor(req) },
+      progress => attachDocument(req, d.id, file, { hash, forced }, progress));
+    await respondJob(req, res, job);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("Attach failed:", err);
+    res.status(500).json({ error: "Server error: " + (err.message || "unknown") });
+  }
+});
+
+/*
+ * Batch upload: any number of PDFs and/or ZIP archives (field "files"). Every PDF becomes
+ * its own job and draft; everything else is listed as skipped. Progress via GET /api/batch/:id.
+ */
+const ZIP_MAX_ENTRIES = 500;
+const ZIP_MAX_BYTES = 500 * 1024 * 1024;
+const isPdf = (name, buf) => /\.pdf$/i.test(name) || (buf && buf.slice(0, 5).toString("latin1") === "%PDF-");
+
+// Inflate one ZIP entry, producing at most `limit` bytes: the sizes in its header may lie
+function zipEntryData(e, limit) {
+  const tooLarge = () => Object.assign(new Error("ZIP too large"), { code: "ZIP_TOO_LARGE" });
+  if (e.header.flags & 1) throw new Error("Encrypted entry");
+  const raw = e.getCompressedData();
+  if (e.header.method === 0) {
+    if (raw.length > limit) throw tooLarge();
+    return raw;
+  }
+  if (e.header.method !== 8) throw new Error("Unsupported compression method " + e.header.method);
+  try { return zlib.inflateRawSync(raw, { maxOutputLength: Math.max(1, limit) }); }
+  catch (err) { throw err.code === "ERR_BUFFER_TOO_LARGE" ? tooLarge() : err; }
+}
+
+function batchFiles(files) {
+  const pdfs = [], skipped = [];
+  for (const f of files) {
+    const name = f.originalname || "upload";
+    if (/\.zip$/i.test(name) || f.buffer.slice(0, 4).toString("latin1") === "PK\x03\x04") {
+      let entries;
+      try { entries = new AdmZip(f.buffer).getEntries(); }
+      catch (e) { skipped.push({ file_name: name, reason: "Unreadable ZIP: " + e.message }); continue; }
+      const wanted = entries.filter(e => !e.isDirectory && !/(^|\/)(__MACOSX|\.)/.test(e.entryName));
+      if (wanted.length > ZIP_MAX_ENTRIES) { skipped.push({ file_name: name, reason: "ZIP too large" }); continue; }
+      // count what actually comes out, so one oversized archive is skipped as a whole
+      const found = [], notPdf = [];
+      let total = 0;
+      try {
+        for (const e of wanted) {
+          const entryName = name + "/" + e.entryName;
+          if (!/\.pdf$/i.test(e.entryName)) { notPdf.push({ file_name: entryName, reason: "Not a PDF" }); continue; }
+          let buffer;
+          try { buffer = zipEntryData(e, ZIP_MAX_BYTES - total); }
+          catch (err) { if (err.code === "ZIP_TOO_LARGE") throw err; notPdf.push({ file_name: entryName, reason: "Unreadable: " + err.message }); continue; }
+          total += buffer.length;
+          found.push({ originalname: path.basename(e.entryName), size: buffer.length, buffer, source: entryName });
+        }
+      } catch (err) { skipped.push({ file_name: name, reason: err.message }); continue; }
+      pdfs.push(...found);
+      skipped.push(...notPdf);
+    } else if (isPdf(name, f.buffer)) {
+      pdfs.push({ originalname: name, size: f.size, buffer: f.buffer, source: name });
+    } else {
+      skipped.push({ file_name: name, reason: "Not a PDF or ZIP" });
+    }
+  }
+  return { pdfs, skipped };
+}
+
+app.post("/api/batch", requireRole("uploader"), upload.array("files", ZIP_MAX_ENTRIES), (req, res) => {
+  try {
+    if (!req.files || !req.files.length) return res.status(400).json({ error: "No files uploaded" });
+    const forced = req.query.template || req.body?.template || "";
+    if (forced && !TEMPLATES.has(forced)) return res.status(400).json({ error: "Unknown template: " + forced });
+
+    const { pdfs, skipped } = batchFiles(req.files);
+    if (!pdfs.length) return res.status(400).json({ error: "No PDF found in upload", skipped });
+    assertQueueRoom(pdfs.length);
+
+    const id = nanoid();
+    db.prepare("INSERT INTO batches (id, author, created_at, file_count, skipped_json) VALUES (?, ?, ?, ?, ?)")
+      .run(id, actor(req), new Date().toISOString(), pdfs.length, JSON.stringify(skipped));
+    const jobs = pdfs.map(f => ({ job_id: queueDocument(req, f, { forced, nocache: req.query.nocache === "1", batchId: id }).id, file_name: f.source }));
+    audit(req, "batch_upload", "batch", id, { detail: { files: jobs.map(j => j.file_name), skipped } });
+    res.status(202).json({ batch_id: id, jobs, skipped, status_url: "/api/batch/" + id });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("Batch upload failed:", err);
+    res.status(500).json({ error: "Server error: " + (err.message || "unknown") });
+  }
+});
+
+// Batch summary: one row per file with job state and, once done, the draft's confidence and warnings
+app.get("/api/batch/:id", (req, res) => {
+  const b = db.prepare("SELECT * FROM batches WHERE id = ?").get(req.params.id);
+  if (!b) return res.status(404).json({ error: "Batch not found" });
+  // a file holding several shipments lists one row per draft
+  const files = db.prepare("SELECT * FROM jobs WHERE batch_id = ? ORDER BY created_at, rowid").all(b.id).flatMap(j => {
+    const r = j.result_json ? JSON.parse(j.result_json) : {};
+    const row = {
+      job_id: j.id, file_name: j.file_name, status: j.status, stage: j.stage, error: j.error || undefined,
+      draft_id: r.draft_id, version_no: r.version_no, reused: !!r.reused,
+      confidence: r.confidence ?? null, warnings: r.warnings || [], template: r.template?.id
+    };
+    return r.drafts ? r.drafts.map(d => ({
+      ...row, draft_id: d.draft_id, version_no: d.version_no, reused: d.reused,
+      confidence: d.confidence ?? null, warnings: d.warnings || [], file_name: j.file_name + " (p. " + d.pages + ")"
+    })) : [row];
+  });
+  const count = st => new Set(files.filter(f => f.status === st).map(f => f.job_id)).size;
+  res.json({
+    id: b.id, author: b.author, created_at: b.created_at,
+    total: new Set(files.map(f => f.job_id)).size, queued: count("queued"), running: count("running"), done: count("done"), failed: count("failed"),
+    finished: files.every(f => f.status === "done" || f.status === "failed"),
+    skipped: JSON.parse(b.skipped_json || "[]"),
+    files
+  });
+});
+
+// Ingestion status and the most recent ingested items
+app.get("/api/ingest", (req, res) => {
+  res.json({
+    sources: { dir: INGEST.dir || null, maildir: INGEST.maildir || null, mbox: INGEST.mbox || null,
+               imap: INGEST.imap ? { host: INGEST.imap.host, mailbox: INGEST.imap.mailbox, available: !!ImapFlow } : null },
+    interval_sec: INGEST.intervalSec,
+    ...ingestState,
+    recent: db.prepare("SELECT * FROM ingested ORDER BY datetime(created_at) DESC LIMIT ?").all(Math.min(500, parseInt(req.query.limit || "50", 10) || 50))
+  });
+});
+
+app.post("/api/ingest/run", requireRole("admin"), async (_req, res) => {
+  const out = await ingestOnce();
+  if (out.busy) return res.status(409).json({ error: "Ingestion already running" });
+  res.json({ ...out, last_run: ingestState.last_run });
+});
+
+/**
+ * Re-run the current parser over all cached texts (admin). `?dry_run=1` only reports.
+ * Same as `node dragdrop-pdf-carrier-instruction-app.js reparse [--dry-run]`.
+ */
+app.post("/api/reparse", requireRole("admin"), (req, res) => {
+  try {
+    const report = db.transaction(() => {
+      const r = reparseCached({ dryRun: req.query.dry_run === "1" || req.body?.dry_run === true });
+      if (!r.dry_run) audit(req, "reparse_run", "cache", PARSER_VERSION, {
+        detail: { scanned: r.scanned, changed: r.changed.length, drafts_updated: r.changed.filter(c => c.draft === "updated").length }
+      });
+      return r;
+    })();
+    res.json(report);
+  } catch (e) {
+    console.error("Re-parse failed:", e);
+    res.status(500).json({ error: "Re-parse failed: " + (e.message || "unknown") });
+  }
+});
+
+app.get("/api/jobs/:id", (req, res) => {
+  const j = db.prepare("SELECT * FROM jobs WHERE id = ?").get(req.params.id);
+  if (!j) return res.status(404).json({ error: "Job not found" });
+  res.json(publicJob(j));
+});
+
+// Server-sent events: the current state first, then every change until the job finishes
+app.get("/api/jobs/:id/events", (req, res) => {
+  const j = db.prepare("SELECT * FROM jobs WHERE id = ?").get(req.params.id);
+  if (!j) return res.status(404).json({ error: "Job not found" });
+  res.set({ "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive" });
+  res.flushHeaders();
+  const job = publicJob(j);
+  res.write(jobEvent(job));
+  if (job.status === "done" || job.status === "failed") return res.end();
+  if (!jobSubscribers.has(j.id)) jobSubscribers.set(j.id, new Set());
+  jobSubscribers.get(j.id).add(res);
+  req.on("close", () => jobSubscribers.get(j.id)?.delete(res));
+});
+
 // Debug: see raw extracted text
-app.post("/api/debug-text", upload.single("file"), async (req, res) => {
+app.post("/api/debug-text", requireRole("uploader"), upload.single("file"), async (req, res) => {
   try {
     if (!req.file) return res.status(400).json({ error: "No file" });
     const txt = await extractTextFromBuffer(req.file.buffer);
@@ -1549,52 +5612,255 @@ app.post("/api/debug-text", upload.single("file"), async (req, res) => {
 });
 
 // Draft API
+/*
+ * Versions: every save inserts a new immutable drafts row (same base_hash, version_no + 1).
+ * Only the newest row is editable (status 'draft'); older rows become 'superseded'.
+ * Comments belong to the whole lineage, so they carry over between versions.
+ */
+function latestDraft(baseHash) {
+  return db.prepare("SELECT * FROM drafts WHERE base_hash = ? ORDER BY version_no DESC LIMIT 1").get(baseHash);
+}
+
+function lineageComments(baseHash) {
+  return db.prepare(`
+    SELECT c.id, c.parent_id, c.field_name, c.message, c.author, c.created_at,
+           c.status, c.resolved_by, c.resolved_at, d.version_no
+    FROM comments c JOIN drafts d ON d.id = c.draft_id
+    WHERE d.base_hash = ?
+    ORDER BY datetime(c.created_at)
+  `).all(baseHash);
+}
+
+function unresolvedThreads(baseHash) {
+  return lineageComments(baseHash)
+    .filter(c => !c.parent_id && c.status !== "resolved")
+    .map(c => ({ id: c.id, field_name: c.field_name, message: c.message, author: c.author, created_at: c.created_at }));
+}
+
 app.get("/api/draft/:id", (req, res) => {
   const id = req.params.id;
   const d = db.prepare("SELECT * FROM drafts WHERE id = ?").get(id);
   if (!d) return res.status(404).json({ error: "Draft not found" });
-  const comments = db.prepare("SELECT id, field_name, message, author, created_at FROM comments WHERE draft_id = ? ORDER BY datetime(created_at)").all(id);
+  const comments = lineageComments(d.base_hash);
+  const latest = latestDraft(d.base_hash);
   res.json({
     id: d.id,
     version_no: d.version_no,
     status: d.status,
+    author: d.author || "",
+    latest_id: latest.id,
+    latest_version_no: latest.version_no,
     fields: JSON.parse(d.data_json || "{}"),
+    doc_pages: d.doc_pages || undefined,
+    documents: lineageDocuments(d),
+    sources: db.prepare(`SELECT kind, ref, message_id, sender, subject, received_at, file_name, created_at
+                         FROM ingested WHERE doc_hash = ? ORDER BY created_at`).all(d.doc_hash || d.base_hash),
+    llm_calls: db.prepare(`SELECT provider, model, status, latency_ms, input_tokens, output_tokens, error, created_at
+                           FROM llm_calls WHERE cache_key = ? ORDER BY created_at`).all(d.base_hash),
     comments
   });
 });
 
-app.post("/api/draft/:id/save", (req, res) => {
+/**
+ * Original PDF behind a draft (default: the uploaded one; ?doc=<hash> for an attached one)
+ * and its pages as PNG: /api/draft/:id/pages/:n.png[?doc=…&dpi=50–200].
+ */
+app.get("/api/draft/:id/source.pdf", (req, res) => {
+  const d = db.prepare("SELECT * FROM drafts WHERE id = ?").get(req.params.id);
+  if (!d) return res.status(404).json({ error: "Draft not found" });
+  sendDocument(res, pickDocument(lineageDocuments(d), req.query.doc));
+});
+
+app.get("/api/draft/:id/pages/:page.png", async (req, res) => {
+  const d = db.prepare("SELECT * FROM drafts WHERE id = ?").get(req.params.id);
+  if (!d) return res.status(404).json({ error: "Draft not found" });
+  await sendPage(req, res, pickDocument(lineageDocuments(d), req.query.doc));
+});
+
+/**
+ * Review layout of a draft's document (?doc=<hash>, default the uploaded one): its pages
+ * (only the draft's own part of a split file) with word boxes in PDF points, and `regions`
+ * locating each field value of this version on them.
+ */
+app.get("/api/draft/:id/layout", (req, res) => {
+  const d = db.prepare("SELECT * FROM drafts WHERE id = ?").get(req.params.id);
+  if (!d) return res.status(404).json({ error: "Draft not found" });
+  const docs = lineageDocuments(d);
+  const doc = pickDocument(docs, req.query.doc);
+  if (!doc) return res.status(404).json({ error: "Document not stored" });
+  const layout = storedLayout(doc.doc_hash);
+  const nums = pageNumbers(doc.role === "primary" ? (d.doc_pages || doc.pages) : doc.pages, doc.page_count || (layout && layout.pages.length));
+  const pages = nums.map(n => (layout && layout.pages.find(p => p.page === n)) || { page: n, width: 0, height: 0, blocks: [], words: [] });
+  const cached = doc.role === "primary" ? db.prepare("SELECT text FROM cache WHERE hash = ?").get(d.base_hash) : null;
+  res.json({
+    doc_hash: doc.doc_hash,
+    source: layout ? layout.source : null,
+    documents: docs.map(x => ({ doc_hash: x.doc_hash, file_name: x.file_name, role: x.role, pages: x.pages })),
+    pages: pages.map(p => ({ page: p.page, width: p.width, height: p.height,
+                             words: p.words.map(w => ({ text: w.text, xMin: w.xMin, yMin: w.yMin, xMax: w.xMax, yMax: w.yMax })) })),
+    regions: fieldRegions(JSON.parse(d.data_json || "{}"), pages, cached ? cached.text : "")
+  });
+});
+
+app.get("/api/draft/:id/versions", (req, res) => {
+  const d = db.prepare("SELECT base_hash FROM drafts WHERE id = ?").get(req.params.id);
+  if (!d) return res.status(404).json({ error: "Draft not found" });
+  const versions = db.prepare(`
+    SELECT id, version_no, status, author, created_at, updated_at
+    FROM drafts WHERE base_hash = ? ORDER BY version_no
+  `).all(d.base_hash);
+  res.json(versions);
+});
+
+/**
+ * Field-level diff: ?from=&to= take "parse", "llm", "v<n>" or "shipment".
+ * Defaults to previous version → this version (parse → v1 for a first version).
+ */
+app.get("/api/draft/:id/diff", (req, res) => {
+  const d = db.prepare("SELECT * FROM drafts WHERE id = ?").get(req.params.id);
+  if (!d) return res.status(404).json({ error: "Draft not found" });
+  const versions = db.prepare("SELECT version_no FROM drafts WHERE base_hash = ? ORDER BY version_no").all(d.base_hash);
+  const sources = ["parse", "llm"].concat(versions.map(v => "v" + v.version_no), ["shipment"])
+    .filter(k => diffSource(d.base_hash, k));
+  const from = String(req.query.from || (d.version_no > 1 ? "v" + (d.version_no - 1) : "parse"));
+  const to = String(req.query.to || "v" + d.version_no);
+  const a = diffSource(d.base_hash, from), b = diffSource(d.base_hash, to);
+  if (!a || !b) return res.status(404).json({ error: "Unknown diff source: " + (!a ? from : to), sources });
+  res.json({ from, to, sources, changes: diffFields(a, b) });
+});
+
+app.post("/api/draft/:id/save", requireRole("reviewer", "approver"), (req, res) => {
   const id = req.params.id;
   const d = db.prepare("SELECT * FROM drafts WHERE id = ?").get(id);
   if (!d) return res.status(404).json({ error: "Draft not found" });
-  if (d.status !== "draft") return res.status(409).json({ error: "Draft is frozen" });
-  const data = req.body || {};
-  db.prepare("UPDATE drafts SET data_json = ?, updated_at = ? WHERE id = ?")
-    .run(JSON.stringify(data), new Date().toISOString(), id);
-  res.json({ ok: true });
+  if (d.status === "frozen") return res.status(409).json({ error: "Draft is frozen" });
+  const latest = latestDraft(d.base_hash);
+  if (latest.id !== d.id) {
+    return res.status(409).json({ error: "Stale draft: v" + latest.version_no + " is newer", latest_id: latest.id, version_no: latest.version_no });
+  }
+  if (latest.status !== "draft") return res.status(409).json({ error: "Draft is frozen" });
+
+  // OCR confidences, merge attributions and raw values stay attached to the values nobody has changed
+  const prev = JSON.parse(d.data_json || "{}");
+  let body = { ...(req.body || {}) };
+  for (const meta of ["field_confidence", "field_sources", "field_raw"]) {
+    if (!prev[meta] || body[meta]) continue;
+    const kept = Object.entries(prev[meta]).filter(([k]) => k === "items"
+      ? JSON.stringify(prev.items || []) === JSON.stringify(body.items || [])
+      : String(fieldAt(prev, k) ?? "") === String(fieldAt(body, k) ?? ""));
+    if (kept.length) body[meta] = Object.fromEntries(kept);
+  }
+  body = normalizeFields(body);
+  body.party_matches = recheckPartyMatches(cleanPartyMatches(body.party_matches || prev.party_matches), body);
+  // whatever the reviewer changed is theirs from now on
+  if (!body.field_provenance) {
+    const prov = { ...(prev.field_provenance || {}) };
+    for (const c of diffFields(prev, body)) prov[c.field.startsWith("items") ? "items" : c.field] = "human";
+    if (Object.keys(prov).length) body.field_provenance = prov;
+  }
+  const check = validateFields(body);
+  Object.assign(body, { confidence: check.score, warnings: check.warnings, issues: check.issues });
+  const json = JSON.stringify(body);
+  if (json === d.data_json) return res.json({ ok: true, draft_id: d.id, version_no: d.version_no, unchanged: true, issues: check.issues });
+
+  const newId = nanoid();
+  const now = new Date().toISOString();
+  db.transaction(() => {
+    db.prepare("UPDATE drafts SET status = 'superseded', updated_at = ? WHERE id = ?").run(now, d.id);
+    db.prepare(`INSERT INTO drafts (id, base_hash, version_no, status, data_json, created_at, updated_at, author, doc_hash, doc_pages)
+                VALUES (?, ?, ?, 'draft', ?, ?, ?, ?, ?, ?)`)
+      .run(newId, d.base_hash, d.version_no + 1, json, now, now, actor(req), d.doc_hash, d.doc_pages);
+    audit(req, "save", "draft", newId, {
+      doc_hash: d.base_hash,
+      detail: { from_version: d.version_no, version_no: d.version_no + 1, previous_id: d.id },
+      changes: diffFields(prev, body)
+    });
+  })();
+  res.json({ ok: true, draft_id: newId, version_no: d.version_no + 1, issues: check.issues });
 });
 
-app.post("/api/draft/:id/comment", (req, res) => {
+app.post("/api/draft/:id/comment", requireRole("reviewer", "approver"), (req, res) => {
   const id = req.params.id;
   const d = db.prepare("SELECT * FROM drafts WHERE id = ?").get(id);
   if (!d) return res.status(404).json({ error: "Draft not found" });
-  const { field_name, message, author } = req.body || {};
-  if (!field_name || !message) return res.status(400).json({ error: "field_name and message are required" });
-  db.prepare("INSERT INTO comments (id, draft_id, field_name, message, author, created_at) VALUES (?, ?, ?, ?, ?, ?)")
-    .run(nanoid(), id, String(field_name), String(message), (author || "").toString(), new Date().toISOString());
-  res.json({ ok: true });
+  const { field_name, message, parent_id } = req.body || {};
+  if (!message) return res.status(400).json({ error: "message is required" });
+
+  let field = field_name, root = null;
+  if (parent_id) {
+    const parent = db.prepare("SELECT c.* FROM comments c JOIN drafts d ON d.id = c.draft_id WHERE c.id = ? AND d.base_hash = ?").get(parent_id, d.base_hash);
+    if (!parent) return res.status(404).json({ error: "Parent comment not found" });
+    root = parent.parent_id || parent.id;  // threads are one level deep
+    field = parent.field_name;
+  }
+  if (!field) return res.status(400).json({ error: "field_name and message are required" });
+
+  const cid = nanoid();
+  db.transaction(() => {
+    db.prepare(`INSERT INTO comments (id, draft_id, field_name, message, author, created_at, parent_id, status)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)`)
+      .run(cid, id, String(field), String(message), actor(req), new Date().toISOString(), root, root ? null : "open");
+    audit(req, root ? "comment_reply" : "comment", "comment", cid, {
+      doc_hash: d.base_hash, detail: { draft_id: id, version_no: d.version_no, field_name: String(field), message: String(message), parent_id: root }
+    });
+  })();
+  res.json({ ok: true, id: cid, parent_id: root });
 });
 
+function setThreadStatus(req, res, status) {
+  const c = db.prepare("SELECT c.*, d.base_hash FROM comments c JOIN drafts d ON d.id = c.draft_id WHERE c.id = ?").get(req.params.id);
+  if (!c) return res.status(404).json({ error: "Comment not found" });
+  const rootId = c.parent_id || c.id;
+  const before = db.prepare("SELECT status FROM comments WHERE id = ?").get(rootId);
+  const now = new Date().toISOString();
+  db.transaction(() => {
+    db.prepare("UPDATE comments SET status = ?, resolved_by = ?, resolved_at = ? WHERE id = ?")
+      .run(status, status === "resolved" ? actor(req) : null, status === "resolved" ? now : null, rootId);
+    audit(req, status === "resolved" ? "comment_resolve" : "comment_reopen", "comment", rootId, {
+      doc_hash: c.base_hash,
+      detail: { field_name: c.field_name },
+      changes: [{ field: "status", change: "changed", old: (before && before.status) || "open", new: status }]
+    });
+  })();
+  res.json({ ok: true, id: rootId, status });
+}
+app.post("/api/comment/:id/resolve", requireRole("reviewer", "approver"), (req, res) => setThreadStatus(req, res, "resolved"));
+app.post("/api/comment/:id/reopen", requireRole("reviewer", "approver"), (req, res) => setThreadStatus(req, res, "open"));
+
 /* Freeze draft → create final shipment + items; mark draft frozen */
-app.post("/api/draft/:id/freeze", (req, res) => {
+app.post("/api/draft/:id/freeze", requireRole("approver"), async (req, res) => {
   const id = req.params.id;
   const d = db.prepare("SELECT * FROM drafts WHERE id = ?").get(id);
   if (!d) return res.status(404).json({ error: "Draft not found" });
+  if (d.status === "superseded") return res.status(409).json({ error: "Stale draft: freeze the latest version" });
   if (d.status !== "draft") return res.status(409).json({ error: "Already frozen" });
 
+  // Validation errors always block; fix the data (or relax the rule in RULES_DIR)
   const s = JSON.parse(d.data_json || "{}");
+  const errors = validateFields(s).issues.filter(i => i.severity === "error");
+  if (errors.length) {
+    return res.status(409).json({
+      error: errors.length + " validation error" + (errors.length > 1 ? "s" : "") + " block freezing: " + errors.map(i => i.message).join("; "),
+      issues: errors
+    });
+  }
+
+  // Open comment threads block freezing unless explicitly overridden (recorded in audit)
+  const { override, reason } = req.body || {};
+  const unresolved = unresolvedThreads(d.base_hash);
+  if (unresolved.length && !override) {
+    return res.status(409).json({
+      error: unresolved.length + " unresolved comment thread" + (unresolved.length > 1 ? "s" : "") + " (pass override: true to freeze anyway)",
+      unresolved
+    });
+  }
+
   const shipment_id = nanoid();
   const created_at = dayjs().toISOString();
+  // drafts saved before key matches were re-checked may still carry a stale one
+  const parties = recheckPartyMatches(cleanPartyMatches(s.party_matches), s);
+  const extraCols = Object.keys(SHIPMENT_EXTRAS);
+  const extraVals = extraCols.map(k => extraValue(k, (s.extras || {})[k]));
 
   const tx = db.transaction(() => {
     db.prepare(`
@@ -1607,8 +5873,10 @@ app.post("/api/draft/:id/freeze", (req, res) => {
         customer_no, vat_no, customer_po, customer_contact, customer_phone, customer_email,
         notify1_address, notify1_email, notify1_phone, notify2_address, notify2_email, notify2_phone,
         total_net_kg, total_gross_kg, total_pkgs,
-        bl_remarks, hs_code, signature_name, signature_date
-      ) VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)
+        bl_remarks, hs_code, signature_name, signature_date, draft_id,
+        incoterm, incoterm_place, field_raw_json, consignee_party_id, notify_party_id, carrier_party_id,
+        ${extraCols.join(", ")}
+      ) VALUES (${Array(46 + extraCols.length).fill("?").join(",")})
     `).run(
       shipment_id, created_at, s.your_partner, s.shipper_phone, s.shipper_email,
       s.shipment_no, s.order_no, s.delivery_no, s.loading_date, s.scheduled_delivery_date,
@@ -1618,7 +5886,10 @@ app.post("/api/draft/:id/freeze", (req, res) => {
       s.customer_no, s.vat_no || null, s.customer_po, s.customer_contact, s.customer_phone, s.customer_email,
       s.notify1_address, s.notify1_email, s.notify1_phone, s.notify2_address, s.notify2_email, s.notify2_phone,
       s.total_net_kg ?? null, s.total_gross_kg ?? null, s.total_pkgs ?? null,
-      s.bl_remarks, s.hs_code, s.signature_name, s.signature_date
+      s.bl_remarks, s.hs_code, s.signature_name, s.signature_date, id,
+      s.incoterm || null, s.incoterm_place || null, s.field_raw ? JSON.stringify(s.field_raw) : null,
+      ...["consignee", "notify", "carrier"].map(role => (parties[role] && parties[role].confirmed ? parties[role].party_id : null)),
+      ...extraVals
     );
 
     const insItem = db.prepare(`
@@ -1636,14 +5907,73 @@ app.post("/api/draft/:id/freeze", (req, res) => {
       );
     });
 
+    const insDoc = db.prepare("INSERT OR IGNORE INTO shipment_documents (shipment_id, doc_hash, file_name, role, pages) VALUES (?, ?, ?, ?, ?)");
+    lineageDocuments(d).forEach(doc => insDoc.run(shipment_id, doc.doc_hash, doc.file_name, doc.role, doc.pages));
+
     db.prepare("UPDATE drafts SET status = 'frozen', updated_at = ? WHERE id = ?")
       .run(new Date().toISOString(), id);
+    // an override without its audit record must not freeze anything
+    if (unresolved.length) {
+      audit(req, "freeze_override", "draft", id, { doc_hash: d.base_hash, detail: { shipment_id, reason: (reason || "").toString(), unresolved } });
+    }
+    audit(req, "freeze", "shipment", shipment_id, {
+      doc_hash: d.base_hash,
+      detail: { draft_id: id, version_no: d.version_no, override: !!unresolved.length,
+                documents: shipmentDocuments(shipment_id).map(x => x.doc_hash) }
+    });
   });
-  tx();
+  try { tx(); }
+  catch (e) {
+    console.error("Freeze failed:", e);
+    return res.status(500).json({ error: "Freeze failed: " + (e.message || "unknown") });
+  }
+
+  // Render the letter once at freeze time; later downloads serve these exact bytes
+  let letter = null;
+  try { letter = await storeLetter(shipment_id, { ...s, id: shipment_id, created_at }); }
+  catch (e) { console.error("Letter rendering failed:", e); }
+  if (letter) audit(req, "letter_render", "shipment", shipment_id, { doc_hash: d.base_hash, detail: { sha256: letter.sha256 } });
+
+  res.json({
+    ok: true, shipment_id, draft_id: id,
+    letter_url: letter ? "/api/shipment/" + shipment_id + "/letter.pdf" : null
+  });
+});
 
-  res.json({ ok: true, shipment_id, draft_id: id });
+/**
+ * Audit trail: ?entity=draft|shipment|comment|user|token [&id=…] or ?doc=<document hash>.
+ * Draft and shipment ids expand to every event of their document (upload → mail).
+ */
+app.get("/api/audit", (req, res) => {
+  const { entity, id, doc } = req.query;
+  const limit = Math.min(1000, parseInt(req.query.limit || "500", 10) || 500);
+  let docHash = doc ? String(doc) : null;
+  if (!docHash && id && entity === "draft") {
+    const d = db.prepare("SELECT base_hash FROM drafts WHERE id = ?").get(String(id));
+    docHash = d ? d.base_hash : null;
+  }
+  if (!docHash && id && entity === "shipment") {
+    docHash = shipmentDocHash(db.prepare("SELECT draft_id FROM shipments WHERE id = ?").get(String(id)));
+  }
+  let rows;
+  if (docHash) {
+    rows = db.prepare("SELECT * FROM audit WHERE doc_hash = ? OR (entity = ? AND entity_id = ?) ORDER BY seq LIMIT ?")
+      .all(docHash, String(entity || ""), String(id || ""), limit);
+  } else if (entity && id) {
+    rows = db.prepare("SELECT * FROM audit WHERE entity = ? AND entity_id = ? ORDER BY seq LIMIT ?").all(String(entity), String(id), limit);
+  } else if (entity) {
+    rows = db.prepare("SELECT * FROM audit WHERE entity = ? ORDER BY seq DESC LIMIT ?").all(String(entity), limit);
+  } else {
+    return res.status(400).json({ error: "entity (and id) or doc is required" });
+  }
+  res.json(rows.map(r => {
+    const { detail_json, changes_json, ...rest } = r;
+    return { ...rest, detail: JSON.parse(detail_json || "{}"), changes: JSON.parse(changes_json || "[]") };
+  }));
 });
 
+app.get("/api/audit/verify", (_req, res) => res.json(verifyAudit()));
+
 // Existing shipment endpoints
 app.get("/api/shipments", (_req, res) => {
   try {
@@ -1661,26 +5991,96 @@ app.get("/api/shipments", (_req, res) => {
 });
 
 app.get("/api/shipment/:id", (req, res) => {
-  const id = req.params.id;
-  const s = db.prepare("SELECT * FROM shipments WHERE id = ?").get(id);
+  const s = loadShipment(req.params.id);
   if (!s) return res.status(404).json({ error: "Not found" });
-  const items = db.prepare("SELECT * FROM items WHERE shipment_id = ? ORDER BY rowid").all(id);
-  res.json({ ...s, items });
+  res.json({ ...s, documents: shipmentDocuments(s.id) });
+});
+
+app.get("/api/shipment/:id/letter.pdf", async (req, res) => {
+  try {
+    const id = req.params.id;
+    let letter = db.prepare("SELECT * FROM letters WHERE shipment_id = ?").get(id);
+    if (!letter) {
+      // shipments frozen before letters existed: render once from the stored record
+      const s = loadShipment(id);
+      if (!s) return res.status(404).json({ error: "Not found" });
+      letter = await storeLetter(id, s);
+      audit(req, "letter_render", "shipment", id, { doc_hash: shipmentDocHash(s), detail: { sha256: letter.sha256 } });
+    }
+    const s = db.prepare("SELECT shipment_no FROM shipments WHERE id = ?").get(id) || {};
+    const name = "carrier-notification-" + String(s.shipment_no || id).replace(/[^A-Za-z0-9_-]+/g, "_") + ".pdf";
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", "inline; filename=" + name);
+    res.setHeader("ETag", '"' + letter.sha256 + '"');
+    res.send(letter.pdf);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Letter failed: " + (e.message || "unknown") });
+  }
+});
+
+app.post("/api/shipment/:id/send", requireRole("approver"), async (req, res) => {
+  const s = loadShipment(req.params.id);
+  if (!s) return res.status(404).json({ error: "Not found" });
+  try {
+    const { to, cc } = req.body || {};
+    const sent = await sendShipmentEmail(s, { to, cc });
+    audit(req, "email_send", "shipment", s.id, { doc_hash: shipmentDocHash(s), detail: sent });
+    res.json({ ok: true, ...sent });
+  } catch (e) {
+    if (e.send_id) audit(req, "email_send", "shipment", s.id, { doc_hash: shipmentDocHash(s), detail: { id: e.send_id, status: "failed", error: e.message } });
+    if (!e.status) console.error("Send failed:", e);
+    res.status(e.status || 500).json({ error: e.message || "Send failed", send_id: e.send_id || null });
+  }
+});
+
+// Documents kept with the shipment, and their bytes (?doc=<hash>, default the uploaded one)
+app.get("/api/shipment/:id/documents", (req, res) => {
+  const s = db.prepare("SELECT id FROM shipments WHERE id = ?").get(req.params.id);
+  if (!s) return res.status(404).json({ error: "Not found" });
+  res.json(shipmentDocuments(s.id));
+});
+
+app.get("/api/shipment/:id/source.pdf", (req, res) => {
+  const s = db.prepare("SELECT id FROM shipments WHERE id = ?").get(req.params.id);
+  if (!s) return res.status(404).json({ error: "Not found" });
+  sendDocument(res, pickDocument(shipmentDocuments(s.id), req.query.doc));
+});
+
+// The shipment as a golden fixture (ZIP of <name>.expected.json + .txt/.layout.json/.pdf)
+app.get("/api/shipment/:id/golden.zip", (req, res) => {
+  const fx = goldenFixture(req.params.id);
+  if (!fx) return res.status(404).json({ error: "No stored source for this shipment" });
+  const zip = new AdmZip();
+  for (const [f, content] of Object.entries(fx.files)) zip.addFile(f, Buffer.isBuffer(content) ? content : Buffer.from(content, "utf8"));
+  res.setHeader("Content-Type", "application/zip");
+  res.setHeader("Content-Disposition", "attachment; filename=" + fx.name + ".zip");
+  res.send(zip.toBuffer());
 });
 
-app.get("/api/shipments.csv", (_req, res) => {
+app.get("/api/shipment/:id/emails", (req, res) => {
+  const rows = db.prepare("SELECT * FROM email_sends WHERE shipment_id = ? ORDER BY datetime(created_at)").all(req.params.id);
+  res.json(rows);
+});
+
+// ?party=<id>: the shipments of one consignee (or notify party / carrier), all of them
+app.get("/api/shipments.csv", (req, res) => {
+  const extraCols = Object.keys(SHIPMENT_EXTRAS);
+  const party = req.query.party ? String(req.query.party) : null;
   const rows = db.prepare(`
-    SELECT created_at, id, shipment_no, order_no, customer_no, po_no, total_net_kg, total_gross_kg, total_pkgs
-    FROM shipments
-    ORDER BY datetime(created_at) DESC
-    LIMIT 100
-  `).all();
-  const head = "created_at,id,shipment_no,order_no,customer_no,po_no,total_net_kg,total_gross_kg,total_pkgs";
+    SELECT s.created_at, s.id, s.shipment_no, s.order_no, s.customer_no, s.po_no, s.total_net_kg, s.total_gross_kg, s.total_pkgs,
+           s.consignee_party_id, p.name AS consignee_party, ${extraCols.map(k => "s." + k).join(", ")}
+    FROM shipments s LEFT JOIN parties p ON p.id = s.consignee_party_id
+    ${party ? "WHERE ? IN (s.consignee_party_id, s.notify_party_id, s.carrier_party_id)" : ""}
+    ORDER BY datetime(s.created_at) DESC
+    ${party ? "" : "LIMIT 100"}
+  `).all(...(party ? [party] : []));
+  const head = ["created_at,id,shipment_no,order_no,customer_no,po_no,total_net_kg,total_gross_kg,total_pkgs,consignee_party_id,consignee_party"].concat(extraCols).join(",");
   const csv = [head].concat(
     rows.map(r => [
       r.created_at, r.id, r.shipment_no || "", r.order_no || "", r.customer_no || "", r.po_no || "",
-      r.total_net_kg || "", r.total_gross_kg || "", r.total_pkgs || ""
-    ].map(v => '"' + String(v).replace(/"/g,'""') + '"').join(","))
+      r.total_net_kg || "", r.total_gross_kg || "", r.total_pkgs || "", r.consignee_party_id || "", r.consignee_party || ""
+    ].concat(extraCols.map(k => r[k] ?? "")).map(v => '"' + String(v).replace(/"/g,'""') + '"').join(","))
   ).join("\n");
   res.setHeader("Content-Type", "text/csv; charset=utf-8");
   res.setHeader("Content-Disposition", "attachment; filename=shipments.csv");
@@ -1688,5 +6088,34 @@ app.get("/api/shipments.csv", (_req, res) => {
 });
 
 // ---------- Start ----------
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => console.log("Listening on :" + PORT + (useOpenAI ? " (OpenAI refine ON)" : " (OpenAI refine OFF)")));
+// the pure helpers the tests exercise (npm test); requiring the module starts nothing
+module.exports = { toNumber };
+
+const cmdPaths = cmdArgs.filter(a => !a.startsWith("--"));
+if (require.main !== module) {
+  // required by a test
+} else if (cmd === "reparse") {
+  const report = reparseCached({ dryRun: cmdArgs.includes("--dry-run") });
+  console.log(JSON.stringify(report, null, 2));
+  process.exit(0);
+} else if (cmd === "golden") {
+  const refine = cmdArgs.includes("--llm");
+  if (refine && !llm) { console.error("--llm needs a configured LLM_PROVIDER (LLM_PROVIDER=mock replays " + LLM_MOCK_DIR + ")"); process.exit(1); }
+  runGolden(cmdPaths[0] || GOLDEN_DIR, { refine }).then(report => {
+    if (cmdArgs.includes("--json")) console.log(JSON.stringify(report, null, 2));
+    else printGolden(report, cmdArgs.includes("--verbose"));
+    if (!report.fixtures) console.error("No fixtures (*.expected.json) in " + report.dir);
+    process.exit(report.failed || !report.fixtures ? 1 : 0);
+  }, e => { console.error(e); process.exit(1); });
+} else if (cmd === "golden-export") {
+  console.log(JSON.stringify(exportGolden(cmdPaths[0] || GOLDEN_DIR, cmdPaths.slice(1)), null, 2));
+  process.exit(0);
+} else {
+  // only the server owns jobs; a CLI run against the same DB must leave a live server's alone
+  db.prepare("UPDATE jobs SET status = 'failed', error = 'Interrupted by server restart', updated_at = ? WHERE status IN ('queued', 'running')")
+    .run(new Date().toISOString());
+  ensureAdmin();
+  const PORT = process.env.PORT || 3000;
+  app.listen(PORT, () => console.log("Listening on :" + PORT + (llm ? " (LLM refine: " + llm.name + " " + llm.model + ")" : " (LLM refine OFF)")));
+  startIngest();
+}
@@ -0,0 +1,15 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { toNumber } = require("../dragdrop-pdf-carrier-instruction-app.js");
+
+test("toNumber reads thousands marks and decimals", () => {
+  assert.strictEqual(toNumber("0.125"), 0.125);
+  assert.strictEqual(toNumber("1000.500"), 1000.5);
+  assert.strictEqual(toNumber("24.000,5"), 24000.5);
+  assert.strictEqual(toNumber("24,000.5"), 24000.5);
+  assert.strictEqual(toNumber("2,500"), 2500);
+  assert.strictEqual(toNumber("24.000 KG"), 24000);
+  assert.strictEqual(toNumber("1.000.000"), 1000000);
+  assert.strictEqual(toNumber("12,5"), 12.5);
+  assert.strictEqual(toNumber("n/a"), null);
+});